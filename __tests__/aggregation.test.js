@@ -0,0 +1,226 @@
+/**
+ * Aggregation Tests
+ * 
+ * Data carried by projection edges: original edge ids, count
+ * and user-configured aggregation of original edge data.
+ */
+
+import cytoscape from 'cytoscape';
+import register from '../src/index.js';
+import { aggregateData } from '../src/aggregate.js';
+
+register(cytoscape);
+
+/**
+ * Structure:
+ *   service
+ *   ├── api ──→ db   (weight 2, latency 10, label "read")
+ *   └── worker ──→ db (weight 3, latency 40, label "write")
+ *   db ──→ api        (weight 1)
+ */
+function createServiceGraph() {
+  return cytoscape({
+    headless: true,
+    elements: [
+      { data: { id: 'service' } },
+      { data: { id: 'api', parent: 'service' } },
+      { data: { id: 'worker', parent: 'service' } },
+      { data: { id: 'db' } },
+      { data: { id: 'e1', source: 'api', target: 'db', weight: 2, latency: 10, label: 'read' } },
+      { data: { id: 'e2', source: 'worker', target: 'db', weight: 3, latency: 40, label: 'write' } },
+      { data: { id: 'e3', source: 'db', target: 'api', weight: 1 } },
+    ]
+  });
+}
+
+describe('Projection Aggregation', () => {
+  
+  test('projection exposes original edge ids and count', () => {
+    const cy = createServiceGraph();
+    const api = cy.compoundManager({ animate: false });
+    
+    api.collapse(cy.$id('service'));
+    
+    const outgoing = api.getProjectedEdges(cy.$id('service')).find(p => p.target().id() === 'db');
+    expect(outgoing.data('originalIds').sort()).toEqual(['e1', 'e2']);
+    expect(outgoing.data('count')).toBe(2);
+  });
+  
+  test('getOriginalEdges returns the edges behind a projection', () => {
+    const cy = createServiceGraph();
+    const api = cy.compoundManager({ animate: false });
+    
+    api.collapse(cy.$id('service'));
+    
+    const incoming = api.getProjectedEdges(cy.$id('service')).find(p => p.source().id() === 'db');
+    const originals = api.getOriginalEdges(incoming);
+    expect(originals.map(e => e.id())).toEqual(['e3']);
+  });
+  
+  test('edgeAggregators roll up original edge data', () => {
+    const cy = createServiceGraph();
+    const api = cy.compoundManager({
+      animate: false,
+      edgeAggregators: {
+        weight: 'sum',
+        latency: 'max',
+        label: 'union'
+      }
+    });
+    
+    api.collapse(cy.$id('service'));
+    
+    const outgoing = api.getProjectedEdges(cy.$id('service')).find(p => p.target().id() === 'db');
+    expect(outgoing.data('weight')).toBe(5);
+    expect(outgoing.data('latency')).toBe(40);
+    expect(outgoing.data('label').sort()).toEqual(['read', 'write']);
+  });
+  
+  test('custom aggregator functions receive values and edges', () => {
+    const cy = createServiceGraph();
+    const api = cy.compoundManager({
+      animate: false,
+      edgeAggregators: {
+        summary: (values, edges) => edges.map(e => e.id()).sort().join('+')
+      }
+    });
+    
+    api.collapse(cy.$id('service'));
+    
+    const outgoing = api.getProjectedEdges(cy.$id('service')).find(p => p.target().id() === 'db');
+    expect(outgoing.data('summary')).toBe('e1+e2');
+  });
+  
+  test('aggregates follow regrouping into meta-edges', () => {
+    const cy = cytoscape({
+      headless: true,
+      elements: [
+        { data: { id: 'a' } },
+        { data: { id: 'a1', parent: 'a' } },
+        { data: { id: 'a2', parent: 'a' } },
+        { data: { id: 'b' } },
+        { data: { id: 'b1', parent: 'b' } },
+        { data: { id: 'e1', source: 'a1', target: 'b1', weight: 4 } },
+        { data: { id: 'e2', source: 'a2', target: 'b1', weight: 6 } },
+      ]
+    });
+    const api = cy.compoundManager({ animate: false, edgeAggregators: { weight: 'sum' } });
+    
+    api.collapse(cy.$id('a'));
+    api.collapse(cy.$id('b'));
+    
+    const [meta] = api.getProjectedEdges(cy.$id('b'));
+    expect(meta.source().id()).toBe('a');
+    expect(meta.data('count')).toBe(2);
+    expect(meta.data('weight')).toBe(10);
+  });
+});
+
+describe('aggregateData', () => {
+  
+  test('built-in aggregators skip missing values', () => {
+    const cy = cytoscape({
+      headless: true,
+      elements: [
+        { data: { id: 'n1', cost: 2 } },
+        { data: { id: 'n2', cost: 6 } },
+        { data: { id: 'n3' } },
+      ]
+    });
+    
+    const result = aggregateData(cy.nodes(), { cost: 'avg' });
+    expect(result.cost).toBe(4);
+  });
+  
+  test('unknown aggregator name throws', () => {
+    const cy = cytoscape({ headless: true, elements: [{ data: { id: 'n1' } }] });
+    expect(() => aggregateData(cy.nodes(), { cost: 'median' })).toThrow('Unknown aggregator');
+  });
+});
+
+describe('Collapsed Node Summary', () => {
+  
+  /**
+   * Structure:
+   *   org (cost 100)
+   *   ├── dept
+   *   │   ├── alice (cost 10, status ok) ──→ bob
+   *   │   └── bob   (cost 20, status warn)
+   *   └── carol     (cost 5, status ok) ──→ outside
+   *   outside
+   */
+  function createOrgGraph() {
+    return cytoscape({
+      headless: true,
+      elements: [
+        { data: { id: 'org', cost: 100 } },
+        { data: { id: 'dept', parent: 'org' } },
+        { data: { id: 'alice', parent: 'dept', cost: 10, status: 'ok' } },
+        { data: { id: 'bob', parent: 'dept', cost: 20, status: 'warn' } },
+        { data: { id: 'carol', parent: 'org', cost: 5, status: 'ok' } },
+        { data: { id: 'outside' } },
+        { data: { id: 'e1', source: 'alice', target: 'bob' } },
+        { data: { id: 'e2', source: 'carol', target: 'outside' } },
+      ]
+    });
+  }
+  
+  const severity = ['ok', 'warn', 'error'];
+  const worst = values => values.reduce((a, b) => (severity.indexOf(b) > severity.indexOf(a) ? b : a), 'ok');
+  
+  test('collapsed node gets descendant, leaf and internal edge counts', () => {
+    const cy = createOrgGraph();
+    const api = cy.compoundManager({ animate: false });
+    
+    api.collapse(cy.$id('org'));
+    
+    const org = cy.$id('org');
+    expect(org.data('descendantCount')).toBe(4);
+    expect(org.data('descendantCounts')).toEqual([2, 2]);
+    expect(org.data('leafCount')).toBe(3);
+    expect(org.data('internalEdgeCount')).toBe(1);
+  });
+  
+  test('nodeAggregators roll up leaf data', () => {
+    const cy = createOrgGraph();
+    const api = cy.compoundManager({
+      animate: false,
+      nodeAggregators: { cost: 'sum', status: worst }
+    });
+    
+    api.collapse(cy.$id('org'));
+    
+    expect(cy.$id('org').data('cost')).toBe(35);
+    expect(cy.$id('org').data('status')).toBe('warn');
+  });
+  
+  test('rollup follows child data changes while collapsed', () => {
+    const cy = createOrgGraph();
+    const api = cy.compoundManager({
+      animate: false,
+      nodeAggregators: { cost: 'sum', status: worst }
+    });
+    
+    api.collapse(cy.$id('dept'));
+    api.collapse(cy.$id('org'));
+    
+    cy.$id('alice').data({ cost: 50, status: 'error' });
+    
+    expect(cy.$id('org').data('cost')).toBe(75);
+    expect(cy.$id('org').data('status')).toBe('error');
+    expect(cy.$id('dept').data('cost')).toBe(70);
+  });
+  
+  test('expand restores the data the node held before', () => {
+    const cy = createOrgGraph();
+    const api = cy.compoundManager({ animate: false, nodeAggregators: { cost: 'sum' } });
+    
+    api.collapse(cy.$id('org'));
+    api.expand(cy.$id('org'));
+    
+    const org = cy.$id('org');
+    expect(org.data('cost')).toBe(100);
+    expect(org.data('leafCount')).toBeUndefined();
+    expect(org.data('descendantCount')).toBeUndefined();
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Edge Bundling Tests
+ * 
+ * Parallel edges between visible nodes shown as one projection edge,
+ * expandable per bundle, kept in sync with collapse and graph changes.
+ */
+
+import cytoscape from 'cytoscape';
+import register from '../src/index.js';
+
+register(cytoscape);
+
+/**
+ * Structure:
+ *   group           x
+ *   ├── a           a → x (3 edges, weights 1, 2, 3), x → a (1 edge)
+ *   └── b           a → b (2 edges), b → x (1 edge)
+ */
+function createGraph() {
+  return cytoscape({
+    headless: true,
+    layout: { name: 'preset' },
+    elements: [
+      { data: { id: 'group' } },
+      { data: { id: 'a', parent: 'group' }, position: { x: 0, y: 0 } },
+      { data: { id: 'b', parent: 'group' }, position: { x: 0, y: 100 } },
+      { data: { id: 'x' }, position: { x: 200, y: 0 } },
+      { data: { id: 'ax1', source: 'a', target: 'x', weight: 1 } },
+      { data: { id: 'ax2', source: 'a', target: 'x', weight: 2 } },
+      { data: { id: 'ax3', source: 'a', target: 'x', weight: 3 } },
+      { data: { id: 'xa', source: 'x', target: 'a' } },
+      { data: { id: 'ab1', source: 'a', target: 'b' } },
+      { data: { id: 'ab2', source: 'a', target: 'b' } },
+      { data: { id: 'bx', source: 'b', target: 'x' } }
+    ]
+  });
+}
+
+/**
+ * Visible bundle from source to target, if any
+ */
+function bundleBetween(cy, source, target) {
+  return cy.edges('.cy-compound-projection').filter(e => {
+    return e.data('source') === source && e.data('target') === target && !e.data('_hidden');
+  });
+}
+
+describe('Edge Bundling', () => {
+  let cy, api;
+  
+  beforeEach(() => {
+    cy = createGraph();
+  });
+  
+  test('is off by default', () => {
+    api = cy.compoundManager({ animate: false });
+    
+    expect(cy.edges('.cy-compound-projection')).toHaveLength(0);
+    expect(api.isEdgeBundlingEnabled()).toBe(false);
+  });
+  
+  describe('bundling', () => {
+    beforeEach(() => {
+      api = cy.compoundManager({ animate: false, bundleEdges: true, edgeAggregators: { weight: 'sum' } });
+    });
+    
+    test('parallel edges become one projection edge with aggregated data', () => {
+      const bundle = bundleBetween(cy, 'a', 'x');
+      
+      expect(bundle).toHaveLength(1);
+      expect(bundle.data()).toMatchObject({ count: 3, weight: 6 });
+      expect(bundle.data('originalIds').sort()).toEqual(['ax1', 'ax2', 'ax3']);
+      expect(api.isHidden(cy.$id('ax1'))).toBe(true);
+      expect(api.getOriginalEdges(bundle).length).toBe(3);
+    });
+    
+    test('single edges and the reverse direction stay as they are', () => {
+      expect(api.isHidden(cy.$id('xa'))).toBe(false);
+      expect(api.isHidden(cy.$id('bx'))).toBe(false);
+      expect(bundleBetween(cy, 'x', 'a')).toHaveLength(0);
+    });
+    
+    test('visibleRepresentative of a bundled edge is the bundle', () => {
+      expect(api.visibleRepresentative(cy.$id('ab1')).same(bundleBetween(cy, 'a', 'b'))).toBe(true);
+    });
+    
+    test('expandEdges shows the originals of one bundle only', () => {
+      api.expandEdges(bundleBetween(cy, 'a', 'x'));
+      
+      expect(bundleBetween(cy, 'a', 'x')).toHaveLength(0);
+      expect(api.isHidden(cy.$id('ax2'))).toBe(false);
+      expect(bundleBetween(cy, 'a', 'b')).toHaveLength(1);
+    });
+    
+    test('collapseEdges bundles expanded edges again', () => {
+      api.expandEdges(bundleBetween(cy, 'a', 'x'));
+      
+      api.collapseEdges(cy.$id('ax1'));
+      
+      expect(bundleBetween(cy, 'a', 'x').data('count')).toBe(3);
+      expect(api.isHidden(cy.$id('ax1'))).toBe(true);
+    });
+    
+    test('an expanded bundle stays expanded when parallel edges are added', () => {
+      api.expandEdges(bundleBetween(cy, 'a', 'x'));
+      
+      cy.add({ data: { id: 'ax4', source: 'a', target: 'x' } });
+      
+      expect(bundleBetween(cy, 'a', 'x')).toHaveLength(0);
+      expect(api.isHidden(cy.$id('ax4'))).toBe(false);
+    });
+    
+    test('collapsing a compound folds its bundles into projections', () => {
+      api.collapse(cy.$id('group'));
+      
+      expect(bundleBetween(cy, 'a', 'x')).toHaveLength(0);
+      expect(bundleBetween(cy, 'a', 'b')).toHaveLength(0);
+      expect(bundleBetween(cy, 'group', 'x').data('originalIds').sort()).toEqual(['ax1', 'ax2', 'ax3', 'bx']);
+      
+      api.expand(cy.$id('group'));
+      
+      expect(bundleBetween(cy, 'a', 'x').data('count')).toBe(3);
+      expect(bundleBetween(cy, 'a', 'b').data('count')).toBe(2);
+      expect(api.isHidden(cy.$id('bx'))).toBe(false);
+    });
+    
+    test('bundles inside a compound keep their identity across collapse and expand', () => {
+      const bundle = bundleBetween(cy, 'a', 'b');
+      const outgoing = bundleBetween(cy, 'a', 'x');
+      bundle.data('note', 'kept').addClass('marked');
+      
+      api.collapse(cy.$id('group'));
+      
+      expect(cy.$id(bundle.id()).nonempty()).toBe(true);
+      expect(api.isHidden(bundle)).toBe(true);
+      
+      api.expand(cy.$id('group'));
+      
+      const restored = bundleBetween(cy, 'a', 'b');
+      expect(restored.id()).toBe(bundle.id());
+      expect(restored.data()).toMatchObject({ note: 'kept', count: 2 });
+      expect(restored.hasClass('marked')).toBe(true);
+      expect(bundleBetween(cy, 'a', 'x').id()).toBe(outgoing.id());
+    });
+    
+    test('a suspended bundle is removed once its edges are unbundled', () => {
+      const bundle = bundleBetween(cy, 'a', 'b');
+      api.collapse(cy.$id('group'));
+      
+      api.setEdgeBundling(false);
+      api.expand(cy.$id('group'));
+      
+      expect(cy.$id(bundle.id()).empty()).toBe(true);
+      expect(api.isHidden(cy.$id('ab1'))).toBe(false);
+    });
+    
+    test('added parallel edges join the bundle, removed ones leave it', () => {
+      cy.add({ data: { id: 'bx2', source: 'b', target: 'x' } });
+      
+      expect(bundleBetween(cy, 'b', 'x').data('count')).toBe(2);
+      expect(api.isHidden(cy.$id('bx'))).toBe(true);
+      
+      cy.remove(cy.$id('bx2'));
+      
+      expect(bundleBetween(cy, 'b', 'x')).toHaveLength(0);
+      expect(api.isHidden(cy.$id('bx'))).toBe(false);
+    });
+    
+    test('removing an endpoint removes its bundles', () => {
+      expect(() => cy.$id('x').remove()).not.toThrow();
+      
+      expect(bundleBetween(cy, 'a', 'x')).toHaveLength(0);
+      expect(api.getState().projections.map(p => p.target)).toEqual(['b']);
+    });
+    
+    test('removing a collapsed compound removes its bundles and projections', () => {
+      api.collapse(cy.$id('group'));
+      
+      expect(() => cy.$id('group').remove()).not.toThrow();
+      
+      expect(cy.edges('.cy-compound-projection')).toHaveLength(0);
+      expect(api.getState().projections).toEqual([]);
+    });
+    
+    test('setEdgeBundling(false) shows all originals', () => {
+      api.setEdgeBundling(false);
+      
+      expect(cy.edges('.cy-compound-projection')).toHaveLength(0);
+      expect(cy.edges().every(e => !api.isHidden(e))).toBe(true);
+    });
+  });
+  
+  test('minEdges sets the bundle threshold', () => {
+    api = cy.compoundManager({ animate: false, bundleEdges: { minEdges: 3 } });
+    
+    expect(bundleBetween(cy, 'a', 'x')).toHaveLength(1);
+    expect(bundleBetween(cy, 'a', 'b')).toHaveLength(0);
+  });
+  
+  test('setEdgeBundling(true) bundles the current graph', () => {
+    api = cy.compoundManager({ animate: false });
+    
+    api.setEdgeBundling(true);
+    
+    expect(bundleBetween(cy, 'a', 'x').data('count')).toBe(3);
+    expect(api.isEdgeBundlingEnabled()).toBe(true);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Event Tests
+ * 
+ * Cancelable before-events, layout events and the projection data hook.
+ */
+
+import cytoscape from 'cytoscape';
+import register from '../src/index.js';
+
+register(cytoscape);
+
+/**
+ * Structure:
+ *   team1                team2
+ *   ├── alice ──────────→ carol
+ *   └── bob
+ */
+function createGraph() {
+  return cytoscape({
+    headless: true,
+    elements: [
+      { data: { id: 'team1' } },
+      { data: { id: 'team2' } },
+      { data: { id: 'alice', parent: 'team1' }, position: { x: 0, y: 0 } },
+      { data: { id: 'bob', parent: 'team1' }, position: { x: 100, y: 0 } },
+      { data: { id: 'carol', parent: 'team2' }, position: { x: 300, y: 0 } },
+      { data: { id: 'e1', source: 'alice', target: 'carol', weight: 3 } },
+    ]
+  });
+}
+
+describe('Events', () => {
+  let cy;
+  
+  beforeEach(() => {
+    cy = createGraph();
+  });
+  
+  describe('Before events', () => {
+    test('preventDefault in beforecollapse vetoes the collapse', () => {
+      const api = cy.compoundManager({ animate: false });
+      const collapsed = [];
+      cy.on('compoundmanager.beforecollapse', (evt) => evt.preventDefault());
+      cy.on('compoundmanager.collapse', (evt, { node }) => collapsed.push(node.id()));
+      
+      api.collapse(cy.$id('team1'));
+      
+      expect(api.isCollapsed(cy.$id('team1'))).toBe(false);
+      expect(api.isHidden(cy.$id('alice'))).toBe(false);
+      expect(collapsed).toEqual([]);
+    });
+    
+    test('returning false from beforeexpand vetoes the expand', () => {
+      const api = cy.compoundManager({ animate: false });
+      api.collapse(cy.$id('team1'));
+      cy.on('compoundmanager.beforeexpand', () => false);
+      
+      api.expand(cy.$id('team1'));
+      
+      expect(api.isCollapsed(cy.$id('team1'))).toBe(true);
+    });
+    
+    test('veto applies per node in bulk operations', () => {
+      const api = cy.compoundManager({ animate: false });
+      cy.$id('bob').select();
+      cy.on('compoundmanager.beforecollapse', (evt, { node }) => {
+        if (node.descendants(':selected').nonempty()) evt.preventDefault();
+      });
+      
+      api.collapseAll();
+      
+      expect(api.isCollapsed(cy.$id('team1'))).toBe(false);
+      expect(api.isCollapsed(cy.$id('team2'))).toBe(true);
+    });
+    
+    test('before events are not emitted for no-op operations', () => {
+      const api = cy.compoundManager({ animate: false });
+      let count = 0;
+      cy.on('compoundmanager.beforeexpand', () => count++);
+      
+      api.expand(cy.$id('team1'));
+      
+      expect(count).toBe(0);
+    });
+    
+    test('undo and setState are not vetoed', () => {
+      const api = cy.compoundManager({ animate: false });
+      const state = api.getState();
+      api.collapse(cy.$id('team1'));
+      cy.on('compoundmanager.beforeexpand', () => false);
+      
+      api.undo();
+      expect(api.isCollapsed(cy.$id('team1'))).toBe(false);
+      
+      api.redo();
+      api.setState(state);
+      expect(api.isCollapsed(cy.$id('team1'))).toBe(false);
+    });
+  });
+  
+  describe('Layout events', () => {
+    test('layoutstart and layoutstop wrap a layout run', async () => {
+      const api = cy.compoundManager({ animate: false });
+      const events = [];
+      cy.on('compoundmanager.layoutstart', () => events.push('start'));
+      cy.on('compoundmanager.overlapsresolved', (evt, { resolved }) => events.push(typeof resolved));
+      cy.on('compoundmanager.layoutstop', (evt, { completed }) => events.push(`stop:${completed}`));
+      
+      await api.runLayout();
+      
+      expect(events).toEqual(['start', 'boolean', 'stop:true']);
+    });
+    
+    test('local layout events carry the center node', async () => {
+      const api = cy.compoundManager({ animate: false });
+      let started;
+      cy.on('compoundmanager.layoutstart', (evt, { node }) => { started = node; });
+      
+      await api.runLocalLayout(cy.$id('team1'));
+      
+      expect(started.id()).toBe('team1');
+    });
+    
+    test('superseded layout stops with completed false', async () => {
+      const api = cy.compoundManager({ animate: true, animationDuration: 50 });
+      const stops = [];
+      cy.on('compoundmanager.layoutstop', (evt, { completed }) => stops.push(completed));
+      
+      api.runLayout();
+      await api.runLayout();
+      
+      expect(stops).toEqual([false, true]);
+    });
+  });
+  
+  describe('Projection data hook', () => {
+    test('projectionData adds fields to projection edges', () => {
+      const api = cy.compoundManager({
+        animate: false,
+        edgeAggregators: { weight: 'sum' },
+        projectionData: (data, originals) => ({
+          label: `${data.count} link(s), weight ${data.weight}`,
+          owners: originals.map(e => e.source().id())
+        })
+      });
+      
+      api.collapse(cy.$id('team1'));
+      const [proj] = api.getProjectedEdges(cy.$id('team1'));
+      
+      expect(proj.data('label')).toBe('1 link(s), weight 3');
+      expect(proj.data('owners')).toEqual(['alice']);
+      expect(proj.data('_isProjection')).toBe(true);
+    });
+    
+    test('hook output is refreshed when originals change', () => {
+      const api = cy.compoundManager({
+        animate: false,
+        projectionData: (data) => ({ label: `x${data.count}` })
+      });
+      
+      api.collapse(cy.$id('team1'));
+      cy.add({ data: { id: 'e2', source: 'bob', target: 'carol' } });
+      const [proj] = api.getProjectedEdges(cy.$id('team1'));
+      
+      expect(proj.data('label')).toBe('x2');
+    });
+  });
+});
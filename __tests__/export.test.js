@@ -0,0 +1,146 @@
+/**
+ * Export Tests
+ * 
+ * exportVisible: the displayed graph as cytoscape JSON, GraphML and DOT.
+ */
+
+import cytoscape from 'cytoscape';
+import register from '../src/index.js';
+
+register(cytoscape);
+
+/**
+ * Structure:
+ *   team1 ("Team <One>")   team2
+ *   ├── alice ─────────→   └── carol
+ *   └── bob   ─────────→
+ *   dave → alice, alice → bob
+ */
+function createGraph() {
+  return cytoscape({
+    headless: true,
+    layout: { name: 'preset' },
+    elements: [
+      { data: { id: 'team1', label: 'Team <One>' } },
+      { data: { id: 'alice', parent: 'team1' }, position: { x: 0, y: 0 } },
+      { data: { id: 'bob', parent: 'team1' }, position: { x: 100, y: 0 } },
+      { data: { id: 'team2' } },
+      { data: { id: 'carol', parent: 'team2' }, position: { x: 300, y: 0 } },
+      { data: { id: 'dave' }, position: { x: 300, y: 200 } },
+      { data: { id: 'e1', source: 'alice', target: 'carol', weight: 3 } },
+      { data: { id: 'e2', source: 'bob', target: 'carol', weight: 2 } },
+      { data: { id: 'e3', source: 'alice', target: 'bob' } },
+      { data: { id: 'e4', source: 'dave', target: 'alice' } }
+    ]
+  });
+}
+
+describe('Export', () => {
+  let cy, api;
+  
+  beforeEach(() => {
+    cy = createGraph();
+    api = cy.compoundManager({ animate: false, edgeAggregators: { weight: 'sum' } });
+    api.collapse(cy.$id('team2'));
+  });
+  
+  describe('Cytoscape JSON', () => {
+    test('contains only visible nodes and edges', () => {
+      const { elements } = api.exportVisible();
+      
+      expect(elements.nodes.map(n => n.data.id)).toEqual(['team1', 'alice', 'bob', 'team2', 'dave']);
+      expect(elements.edges.map(e => e.data.id)).not.toContain('e1');
+      expect(elements.edges.map(e => e.data.id)).toEqual(expect.arrayContaining(['e3', 'e4']));
+    });
+    
+    test('projection edges carry their aggregated data', () => {
+      const { elements } = api.exportVisible({ format: 'json' });
+      const projections = elements.edges.filter(e => e.classes.includes('cy-compound-projection'));
+      
+      expect(projections).toHaveLength(2);
+      const fromAlice = projections.find(e => e.data.source === 'alice');
+      expect(fromAlice.data).toMatchObject({ target: 'team2', originalIds: ['e1'], count: 1, weight: 3 });
+      expect(fromAlice.data._isProjection).toBeUndefined();
+    });
+    
+    test('can be loaded into another cytoscape instance', () => {
+      const copy = cytoscape({ headless: true, layout: { name: 'preset' }, ...api.exportVisible() });
+      
+      expect(copy.nodes()).toHaveLength(5);
+      expect(copy.$id('alice').parent().id()).toBe('team1');
+      expect(copy.$id('bob').position()).toEqual({ x: 100, y: 0 });
+    });
+    
+    test('focus exports the focused compound and its stubs', () => {
+      api.expand(cy.$id('team2'));
+      api.enter(cy.$id('team1'));
+      
+      const ids = api.exportVisible().elements.nodes.map(n => n.data.id);
+      
+      expect(ids).toEqual(expect.arrayContaining(['team1', 'alice', 'bob']));
+      expect(ids).not.toContain('carol');
+      expect(ids.some(id => id.startsWith('_stub_'))).toBe(true);
+    });
+  });
+  
+  describe('GraphML', () => {
+    test('nests compound contents in a graph and escapes values', () => {
+      const graphml = api.exportVisible({ format: 'graphml' });
+      
+      expect(graphml).toMatch(/^<\?xml/);
+      expect(graphml).toContain('<node id="team1">');
+      expect(graphml).toContain('<graph id="team1:" edgedefault="directed">');
+      expect(graphml).toContain('Team &lt;One&gt;');
+      expect(graphml).not.toContain('carol');
+    });
+    
+    test('declares typed keys for data and flags', () => {
+      const graphml = api.exportVisible({ format: 'graphml' });
+      
+      expect(graphml).toMatch(/<key id="e\d+" for="edge" attr.name="weight" attr.type="double"\/>/);
+      expect(graphml).toMatch(/<key id="n\d+" for="node" attr.name="collapsed" attr.type="boolean"\/>/);
+      expect(graphml).toContain('<edge id="e4" source="dave" target="alice"/>');
+    });
+  });
+  
+  describe('DOT', () => {
+    test('maps expanded compounds to clusters and collapsed ones to nodes', () => {
+      const dot = api.exportVisible({ format: 'dot' });
+      
+      expect(dot).toMatch(/^digraph G \{/);
+      expect(dot).toContain('subgraph "cluster_team1" {');
+      expect(dot).toContain('label="Team <One>";');
+      expect(dot).toMatch(/^ {2}"team2" \[.*"collapsed"=true/m);
+      expect(dot).not.toContain('cluster_team2');
+    });
+    
+    test('writes projections as edges with their data', () => {
+      const dot = api.exportVisible({ format: 'dot' });
+      
+      expect(dot).toContain('"alice" -> "team2" ["originalIds"="[\\"e1\\"]", "count"=1, "weight"=3, "projection"=true];');
+      expect(dot).toContain('"dave" -> "alice";');
+    });
+    
+    test('edges to an expanded compound are clipped at its cluster', () => {
+      cy.add([
+        { data: { id: 'e5', source: 'dave', target: 'team1' } },
+        { data: { id: 'e6', source: 'team1', target: 'bob' } }
+      ]);
+      
+      const dot = api.exportVisible({ format: 'dot' });
+      
+      expect(dot).toMatch(/^digraph G \{\n {2}compound=true;/);
+      expect(dot).toContain('    "team1" [shape=point, style=invis, label=""];');
+      expect(dot).toContain('"dave" -> "team1" ["lhead"="cluster_team1"];');
+      expect(dot).toContain('"team1" -> "bob";');
+    });
+    
+    test('compound=true is only set when an edge needs it', () => {
+      expect(api.exportVisible({ format: 'dot' })).not.toContain('compound=true');
+    });
+  });
+  
+  test('unknown format throws', () => {
+    expect(() => api.exportVisible({ format: 'gexf' })).toThrow('Unknown export format "gexf"');
+  });
+});
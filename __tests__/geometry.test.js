@@ -0,0 +1,164 @@
+/**
+ * Collapsed Geometry Tests
+ * 
+ * Size and shape data on collapsed nodes, the default stylesheet and
+ * overlap handling with collapsed sizes.
+ */
+
+import cytoscape from 'cytoscape';
+import register, { defaultStylesheet } from '../src/index.js';
+
+register(cytoscape);
+
+/**
+ * Structure:
+ *   groupA               groupB
+ *   ├── a1               └── b1
+ *   ├── a2
+ *   └── a3
+ */
+function createGraph(options = {}) {
+  return cytoscape({
+    headless: true,
+    layout: { name: 'preset' },
+    elements: [
+      { data: { id: 'groupA' } },
+      { data: { id: 'a1', parent: 'groupA' }, position: { x: 0, y: 0 } },
+      { data: { id: 'a2', parent: 'groupA' }, position: { x: 100, y: 0 } },
+      { data: { id: 'a3', parent: 'groupA' }, position: { x: 0, y: 60 } },
+      { data: { id: 'groupB' } },
+      { data: { id: 'b1', parent: 'groupB' }, position: { x: 300, y: 0 } },
+    ],
+    ...options
+  });
+}
+
+describe('Collapsed Geometry', () => {
+  let cy;
+  
+  beforeEach(() => {
+    cy = createGraph();
+  });
+  
+  describe('Size modes', () => {
+    test('no size is written unless collapsedSize is set', () => {
+      const api = cy.compoundManager({ animate: false });
+      const groupA = cy.$id('groupA');
+      
+      api.collapse(groupA);
+      
+      expect(groupA.data('collapsedWidth')).toBeUndefined();
+      expect(groupA.data('collapsedHeight')).toBeUndefined();
+      expect(groupA.data('descendantCount')).toBe(3);
+    });
+    
+    test('fixed size defaults to 30 x 30 and is cleared on expand', () => {
+      const api = cy.compoundManager({ animate: false, collapsedSize: 'fixed' });
+      const groupA = cy.$id('groupA');
+      
+      api.collapse(groupA);
+      expect(groupA.data('collapsedWidth')).toBe(30);
+      expect(groupA.data('collapsedHeight')).toBe(30);
+      
+      api.expand(groupA);
+      expect(groupA.data('collapsedWidth')).toBeUndefined();
+    });
+    
+    test('fixed size is configurable', () => {
+      const api = cy.compoundManager({ animate: false, collapsedSize: { mode: 'fixed', width: 80, height: 40 } });
+      api.collapse(cy.$id('groupA'));
+      
+      expect(cy.$id('groupA').data('collapsedWidth')).toBe(80);
+      expect(cy.$id('groupA').data('collapsedHeight')).toBe(40);
+    });
+    
+    test('proportional size grows with descendants and is clamped', () => {
+      const api = cy.compoundManager({ animate: false, collapsedSize: { mode: 'proportional', min: 20, max: 60 } });
+      api.collapseAll();
+      
+      expect(cy.$id('groupB').data('collapsedWidth')).toBe(20);
+      expect(cy.$id('groupA').data('collapsedWidth')).toBeCloseTo(20 * Math.sqrt(3));
+      
+      cy.add([1, 2, 3, 4, 5, 6].map(i => ({ data: { id: `extra${i}`, parent: 'groupA' } })));
+      expect(cy.$id('groupA').data('collapsedWidth')).toBe(60);
+    });
+    
+    test('preserve keeps the size of the expanded contents', () => {
+      const api = cy.compoundManager({ animate: false, collapsedSize: 'preserve' });
+      const groupA = cy.$id('groupA');
+      const childWidth = cy.$id('a1').width();
+      const childHeight = cy.$id('a1').height();
+      
+      api.collapse(groupA);
+      
+      expect(groupA.data('collapsedWidth')).toBe(Math.max(30, 100 + childWidth));
+      expect(groupA.data('collapsedHeight')).toBe(Math.max(30, 60 + childHeight));
+    });
+    
+    test('collapsedShape is written as data', () => {
+      const api = cy.compoundManager({ animate: false, collapsedShape: 'hexagon' });
+      api.collapse(cy.$id('groupA'));
+      
+      expect(cy.$id('groupA').data('collapsedShape')).toBe('hexagon');
+    });
+    
+    test('unknown mode throws when the manager is created', () => {
+      expect(() => cy.compoundManager({ animate: false, collapsedSize: 'huge' }))
+        .toThrow('Unknown collapsedSize mode "huge"');
+      expect(() => cy.compoundManager({ animate: false, collapsedSize: { mode: 'huge' } }))
+        .toThrow('Unknown collapsedSize mode "huge"');
+    });
+  });
+  
+  describe('Default stylesheet', () => {
+    test('is exported as cytoscape JSON style', () => {
+      const selectors = defaultStylesheet.map(rule => rule.selector);
+      expect(selectors).toContain('.cy-compound-collapsed');
+      expect(selectors).toContain('.cy-compound-projection');
+    });
+    
+    test('sizes collapsed nodes when opted into, keeping user styles', () => {
+      const styledCy = createGraph({
+        styleEnabled: true,
+        style: [{ selector: 'node', style: { 'background-color': 'red' } }]
+      });
+      const api = styledCy.compoundManager({
+        animate: false,
+        defaultStylesheet: true,
+        collapsedSize: { mode: 'fixed', width: 80, height: 50 },
+        collapsedShape: 'hexagon'
+      });
+      const groupA = styledCy.$id('groupA');
+      
+      api.collapse(groupA);
+      
+      expect(groupA.width()).toBe(80);
+      expect(groupA.height()).toBe(50);
+      expect(groupA.style('shape')).toBe('hexagon');
+      expect(groupA.style('background-color')).toBe('rgb(255,0,0)');
+      styledCy.destroy();
+    });
+  });
+  
+  describe('Overlaps', () => {
+    test('collapsed nodes overlap by their collapsed size', () => {
+      const api = cy.compoundManager({ animate: false, collapsedSize: { mode: 'fixed', width: 400, height: 400 } });
+      expect(api.hasOverlaps()).toBe(false);
+      
+      api.collapseAll();
+      expect(api.hasOverlaps()).toBe(true);
+    });
+    
+    test('resolving overlaps moves collapsed nodes with their hidden contents', () => {
+      const api = cy.compoundManager({ animate: false, collapsedSize: { mode: 'fixed', width: 400, height: 400 } });
+      api.collapseAll();
+      
+      expect(api.resolveOverlaps()).toBe(true);
+      expect(api.hasOverlaps()).toBe(false);
+      
+      api.expandAll();
+      expect(cy.$id('a2').position().x - cy.$id('a1').position().x).toBeCloseTo(100);
+      expect(cy.$id('a3').position().y - cy.$id('a1').position().y).toBeCloseTo(60);
+    });
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Dynamic Grouping Tests
+ * 
+ * groupBy / ungroup / regroup: compounds created and dissolved at runtime,
+ * with collapse state and projections kept consistent.
+ */
+
+import cytoscape from 'cytoscape';
+import register from '../src/index.js';
+
+register(cytoscape);
+
+/**
+ * Structure:
+ *   web1 (dc: east, rack: a)   web2 (dc: west, rack: a)
+ *   db1  (dc: east, rack: b)   db2  (dc: west, rack: b)
+ *   lb   (no dc)
+ *   lb → web1, lb → web2, web1 → db1, web2 → db2, web1 → db2
+ */
+function createGraph() {
+  return cytoscape({
+    headless: true,
+    layout: { name: 'preset' },
+    elements: [
+      { data: { id: 'web1', dc: 'east', rack: 'a' }, position: { x: 0, y: 0 } },
+      { data: { id: 'db1', dc: 'east', rack: 'b' }, position: { x: 0, y: 100 } },
+      { data: { id: 'web2', dc: 'west', rack: 'a' }, position: { x: 200, y: 0 } },
+      { data: { id: 'db2', dc: 'west', rack: 'b' }, position: { x: 200, y: 100 } },
+      { data: { id: 'lb' }, position: { x: 100, y: -100 } },
+      { data: { id: 'e1', source: 'lb', target: 'web1' } },
+      { data: { id: 'e2', source: 'lb', target: 'web2' } },
+      { data: { id: 'e3', source: 'web1', target: 'db1' } },
+      { data: { id: 'e4', source: 'web2', target: 'db2' } },
+      { data: { id: 'e5', source: 'web1', target: 'db2' } }
+    ]
+  });
+}
+
+const byDc = n => n.data('dc');
+const byRack = n => n.data('rack');
+
+describe('Dynamic Grouping', () => {
+  let cy, api;
+  
+  beforeEach(() => {
+    cy = createGraph();
+    api = cy.compoundManager({ animate: false });
+  });
+  
+  describe('groupBy', () => {
+    test('creates one compound per key and skips nodes without one', () => {
+      const groups = api.groupBy(cy.nodes(), byDc);
+      
+      expect(groups.map(g => g.id()).sort()).toEqual(['group:east', 'group:west']);
+      expect(cy.$id('web1').parent().id()).toBe('group:east');
+      expect(cy.$id('db2').parent().id()).toBe('group:west');
+      expect(cy.$id('lb').parent().empty()).toBe(true);
+      expect(cy.$id('group:east').data()).toMatchObject({ label: 'east', groupKey: 'east' });
+    });
+    
+    test('keeps member positions and element identity', () => {
+      const web1 = cy.$id('web1');
+      
+      api.groupBy(cy.nodes(), byDc);
+      
+      expect(cy.$id('web1').same(web1)).toBe(true);
+      expect(web1.position()).toEqual({ x: 0, y: 0 });
+      expect(cy.$id('e3').source().same(web1)).toBe(true);
+    });
+    
+    test('groups under the nearest common ancestor', () => {
+      api.groupBy(cy.nodes(), byDc);
+      
+      const racks = api.groupBy(cy.$id('group:east').children(), byRack);
+      
+      expect(racks.map(g => g.parent().id())).toEqual(['group:east', 'group:east']);
+      expect(cy.$id('db1').ancestors().map(a => a.id())).toEqual(['group:b', 'group:east']);
+    });
+    
+    test('reuses an existing group for the same key', () => {
+      api.groupBy(cy.nodes('[dc = "east"]'), byDc);
+      api.groupBy(cy.$id('group:east').children(), byDc);
+      
+      expect(cy.nodes('[?_groupBy]')).toHaveLength(1);
+      expect(cy.$id('group:east').children()).toHaveLength(2);
+    });
+    
+    test('avoids id clashes with existing nodes', () => {
+      cy.add({ data: { id: 'group:east' }, position: { x: 500, y: 500 } });
+      
+      const groups = api.groupBy(cy.nodes('[dc = "east"]'), byDc);
+      
+      expect(groups.id()).toBe('group:east:2');
+    });
+    
+    test('collapse option collapses the groups and projects their edges', () => {
+      api.groupBy(cy.nodes(), byDc, { collapse: true });
+      
+      expect(api.isCollapsed(cy.$id('group:east'))).toBe(true);
+      expect(api.isCollapsed(cy.$id('group:west'))).toBe(true);
+      const projection = api.getProjectedEdges(cy.$id('group:east'))
+        .find(p => p.data('target') === 'group:west');
+      expect(projection.data('originalIds')).toEqual(['e5']);
+    });
+    
+    test('nodes added to a collapsed group are hidden', () => {
+      api.groupBy(cy.nodes('[dc = "east"]'), byDc, { collapse: true });
+      cy.$id('web2').data('dc', 'east');
+      
+      api.groupBy(cy.$id('web2'), byDc);
+      
+      expect(cy.$id('web2').parent().id()).toBe('group:east');
+      expect(api.isHidden(cy.$id('web2'))).toBe(true);
+    });
+    
+    test('a collapsed compound keeps its contents when grouped', () => {
+      cy.add({ data: { id: 'svc', dc: 'east' } });
+      cy.$id('web1').move({ parent: 'svc' });
+      api.collapse(cy.$id('svc'));
+      
+      api.groupBy(cy.nodes().orphans(), byDc);
+      api.expandAll();
+      
+      expect(cy.$id('svc').parent().id()).toBe('group:east');
+      expect(api.isHidden(cy.$id('web1'))).toBe(false);
+      expect(api.isHidden(cy.$id('e3'))).toBe(false);
+      expect(cy.edges('.cy-compound-projection')).toHaveLength(0);
+    });
+    
+    test('emits compoundmanager.group per group', () => {
+      const keys = [];
+      cy.on('compoundmanager.group', (evt, { key, members }) => keys.push([key, members.length]));
+      
+      api.groupBy(cy.nodes(), byDc);
+      
+      expect(keys).toEqual([['east', 2], ['west', 2]]);
+    });
+  });
+  
+  describe('ungroup', () => {
+    test('moves children to the parent and removes the compound', () => {
+      api.groupBy(cy.nodes(), byDc);
+      
+      const children = api.ungroup(cy.$id('group:east'));
+      
+      expect(children.map(n => n.id()).sort()).toEqual(['db1', 'web1']);
+      expect(cy.$id('group:east').empty()).toBe(true);
+      expect(cy.$id('web1').parent().empty()).toBe(true);
+      expect(cy.$id('e3').inside()).toBe(true);
+    });
+    
+    test('a collapsed group releases its children at their saved positions', () => {
+      api.groupBy(cy.nodes(), byDc, { collapse: true });
+      
+      api.ungroup(cy.$id('group:east'));
+      
+      expect(api.isHidden(cy.$id('web1'))).toBe(false);
+      expect(cy.$id('web1').position()).toEqual({ x: 0, y: 0 });
+      expect(cy.$id('db1').position()).toEqual({ x: 0, y: 100 });
+      expect(api.getProjectedEdges(cy.$id('group:west')).map(p => p.data('source')).sort())
+        .toEqual(['lb', 'web1']);
+    });
+    
+    test('children of a group inside a collapsed compound stay hidden there', () => {
+      api.groupBy(cy.nodes(), byDc);
+      api.groupBy(cy.$id('group:east').children(), byRack);
+      api.collapse(cy.$id('group:east'));
+      
+      api.ungroup(cy.$id('group:a'));
+      
+      expect(cy.$id('web1').parent().id()).toBe('group:east');
+      expect(api.isHidden(cy.$id('web1'))).toBe(true);
+      
+      api.expand(cy.$id('group:east'));
+      expect(api.isHidden(cy.$id('web1'))).toBe(false);
+      expect(cy.$id('web1').position()).toEqual({ x: 0, y: 0 });
+    });
+    
+    test('a collapsed compound keeps its contents when its group is dissolved', () => {
+      cy.add({ data: { id: 'svc', dc: 'east' } });
+      cy.$id('web1').move({ parent: 'svc' });
+      api.groupBy(cy.nodes().orphans(), byDc);
+      api.collapse(cy.$id('svc'));
+      
+      api.ungroup(cy.$id('group:east'));
+      api.expandAll();
+      
+      expect(cy.$id('svc').parent().empty()).toBe(true);
+      expect(api.isHidden(cy.$id('web1'))).toBe(false);
+      expect(api.isHidden(cy.$id('e3'))).toBe(false);
+      expect(cy.edges('.cy-compound-projection')).toHaveLength(0);
+    });
+  });
+  
+  describe('regroup', () => {
+    test('switches every groupBy group to a new key', () => {
+      api.groupBy(cy.nodes(), byDc);
+      
+      const groups = api.regroup(byRack);
+      
+      expect(groups.map(g => g.id()).sort()).toEqual(['group:a', 'group:b']);
+      expect(cy.$id('group:east').empty()).toBe(true);
+      expect(cy.$id('web2').parent().id()).toBe('group:a');
+      expect(cy.$id('lb').parent().empty()).toBe(true);
+    });
+    
+    test('keeps groups collapsed when all dissolved groups were', () => {
+      api.groupBy(cy.nodes(), byDc, { collapse: true });
+      
+      const groups = api.regroup(byRack);
+      
+      expect(groups.every(g => api.isCollapsed(g))).toBe(true);
+      const projection = api.getProjectedEdges(cy.$id('group:a'))
+        .find(p => p.data('target') === 'group:b');
+      expect(projection.data('originalIds').sort()).toEqual(['e3', 'e4', 'e5']);
+    });
+    
+    test('regroups only the given groups', () => {
+      api.groupBy(cy.nodes(), byDc);
+      
+      api.regroup(cy.$id('group:west'), byRack);
+      
+      expect(cy.$id('group:east').children()).toHaveLength(2);
+      expect(cy.$id('web2').parent().id()).toBe('group:a');
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Hierarchy Import Tests
+ * 
+ * Compound elements built from nested trees and path records,
+ * with an initial collapse depth and positions.
+ */
+
+import cytoscape from 'cytoscape';
+import register, { elementsFromTree, elementsFromPaths } from '../src/index.js';
+
+register(cytoscape);
+
+/**
+ * Structure:
+ *   org
+ *   ├── sales
+ *   │   ├── ann
+ *   │   └── ben
+ *   └── dev
+ *       └── cat
+ */
+const tree = {
+  id: 'org',
+  label: 'Org',
+  children: [
+    { id: 'sales', children: [{ id: 'ann', role: 'lead' }, { id: 'ben' }] },
+    { id: 'dev', children: [{ id: 'cat' }] }
+  ]
+};
+
+function load(result) {
+  const cy = cytoscape({ headless: true, layout: { name: 'preset' }, elements: result.elements });
+  const api = cy.compoundManager({ animate: false });
+  api.setState(result.state);
+  return { cy, api };
+}
+
+describe('Hierarchy Import', () => {
+  describe('Nested trees', () => {
+    test('wires parents and keeps node data', () => {
+      const { elements } = elementsFromTree(tree);
+      const byId = Object.fromEntries(elements.map(ele => [ele.data.id, ele.data]));
+      
+      expect(Object.keys(byId)).toEqual(['org', 'sales', 'ann', 'ben', 'dev', 'cat']);
+      expect(byId.org).toEqual({ id: 'org', label: 'Org' });
+      expect(byId.ann).toEqual({ id: 'ann', parent: 'sales', role: 'lead' });
+      expect(byId.dev.parent).toBe('org');
+    });
+    
+    test('accessors read other tree shapes', () => {
+      const { elements } = elementsFromTree(
+        { name: 'root', kids: [{ name: 'leaf' }] },
+        { id: d => d.name, children: d => d.kids, data: d => ({ label: d.name.toUpperCase() }) }
+      );
+      
+      expect(elements.map(ele => ele.data)).toEqual([
+        { id: 'root', label: 'ROOT' },
+        { id: 'leaf', parent: 'root', label: 'LEAF' }
+      ]);
+    });
+    
+    test('accepts several roots', () => {
+      const { elements } = elementsFromTree([{ id: 'a' }, { id: 'b' }]);
+      expect(elements.map(ele => ele.data.id)).toEqual(['a', 'b']);
+    });
+    
+    test('duplicate and missing ids throw', () => {
+      expect(() => elementsFromTree({ id: 'a', children: [{ id: 'a' }] })).toThrow('Duplicate node id "a"');
+      expect(() => elementsFromTree({ children: [] })).toThrow('Tree node without an id');
+    });
+  });
+  
+  describe('Path records', () => {
+    const records = [
+      { path: 'org/sales/ann', role: 'lead' },
+      { path: 'org/sales/ben' },
+      { path: 'org/dev/cat' },
+      { path: 'org/sales', budget: 10 }
+    ];
+    
+    test('creates missing ancestors with the segment as label', () => {
+      const { elements } = elementsFromPaths(records);
+      const byId = Object.fromEntries(elements.map(ele => [ele.data.id, ele.data]));
+      
+      expect(Object.keys(byId).sort()).toEqual(['org', 'org/dev', 'org/dev/cat', 'org/sales', 'org/sales/ann', 'org/sales/ben']);
+      expect(byId['org/sales/ann']).toEqual({ id: 'org/sales/ann', parent: 'org/sales', label: 'ann', role: 'lead' });
+      expect(byId['org/sales']).toEqual({ id: 'org/sales', parent: 'org', label: 'sales', budget: 10 });
+      expect(byId.org.parent).toBeUndefined();
+    });
+    
+    test('separator and path accessor are configurable', () => {
+      const { elements } = elementsFromPaths(
+        [{ location: 'eu.de.berlin' }],
+        { path: r => r.location, separator: '.', data: () => ({}) }
+      );
+      
+      expect(elements.map(ele => ele.data.id)).toEqual(['eu', 'eu.de', 'eu.de.berlin']);
+    });
+    
+    test('records without a path throw', () => {
+      expect(() => elementsFromPaths([{ path: '' }])).toThrow('Record without a path');
+    });
+  });
+  
+  describe('Initial state', () => {
+    test('collapseDepth collapses compounds at that depth or deeper', () => {
+      const { cy, api } = load(elementsFromTree(tree, { collapseDepth: 1 }));
+      
+      expect(api.isCollapsed(cy.$id('org'))).toBe(false);
+      expect(api.isCollapsed(cy.$id('sales'))).toBe(true);
+      expect(api.isCollapsed(cy.$id('dev'))).toBe(true);
+      expect(api.isHidden(cy.$id('ann'))).toBe(true);
+    });
+    
+    test('without collapseDepth everything stays expanded', () => {
+      const { state } = elementsFromPaths([{ path: 'a/b' }]);
+      expect(state.collapsedIds).toEqual([]);
+    });
+    
+    test('positions are applied and restored on expand', () => {
+      const { cy, api } = load(elementsFromTree(tree, {
+        collapseDepth: 1,
+        positions: { ann: { x: 0, y: 0 }, ben: { x: 80, y: 20 }, cat: { x: 300, y: 0 } }
+      }));
+      
+      api.expand(cy.$id('sales'));
+      
+      expect(cy.$id('ben').position().x - cy.$id('ann').position().x).toBeCloseTo(80);
+      expect(cy.$id('ben').position().y - cy.$id('ann').position().y).toBeCloseTo(20);
+    });
+  });
+});
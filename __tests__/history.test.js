@@ -0,0 +1,226 @@
+/**
+ * Undo/Redo Tests
+ * 
+ * Collapse, expand and layout operations can be undone and redone,
+ * restoring visibility, projections and positions exactly.
+ */
+
+import cytoscape from 'cytoscape';
+import register from '../src/index.js';
+
+register(cytoscape);
+
+/**
+ * Structure:
+ *   outer
+ *   ├── inner
+ *   │   ├── a ──→ x
+ *   │   └── b
+ *   └── c ──→ x
+ *   x
+ */
+function createGraph() {
+  return cytoscape({
+    headless: true,
+    elements: [
+      { data: { id: 'outer' } },
+      { data: { id: 'inner', parent: 'outer' } },
+      { data: { id: 'a', parent: 'inner' }, position: { x: 0, y: 0 } },
+      { data: { id: 'b', parent: 'inner' }, position: { x: 30, y: 30 } },
+      { data: { id: 'c', parent: 'outer' }, position: { x: 80, y: 0 } },
+      { data: { id: 'x' }, position: { x: 200, y: 200 } },
+      { data: { id: 'e1', source: 'a', target: 'x' } },
+      { data: { id: 'e2', source: 'c', target: 'x' } },
+    ],
+    layout: { name: 'preset' }
+  });
+}
+
+/**
+ * Capture visibility, projections and leaf positions
+ */
+function view(cy, api) {
+  return {
+    hidden: cy.elements().filter(e => api.isHidden(e)).map(e => e.id()).sort(),
+    projections: cy.edges('.cy-compound-projection')
+      .map(e => `${e.id()}:${e.source().id()}->${e.target().id()}:${api.isHidden(e)}`)
+      .sort(),
+    positions: cy.nodes().filter(n => !n.isParent()).map(n => `${n.id()}@${n.position().x},${n.position().y}`)
+  };
+}
+
+describe('Undo/Redo', () => {
+  let cy, api;
+  
+  beforeEach(() => {
+    cy = createGraph();
+    api = cy.compoundManager({ animate: false });
+  });
+  
+  test('nothing to undo initially', () => {
+    expect(api.canUndo()).toBe(false);
+    expect(api.canRedo()).toBe(false);
+    expect(api.undo()).toBe(false);
+  });
+  
+  test('collapse can be undone and redone', () => {
+    const before = view(cy, api);
+    api.collapse(cy.$id('inner'));
+    const after = view(cy, api);
+    
+    expect(api.canUndo()).toBe(true);
+    api.undo();
+    expect(view(cy, api)).toEqual(before);
+    expect(api.isCollapsed(cy.$id('inner'))).toBe(false);
+    
+    expect(api.canRedo()).toBe(true);
+    api.redo();
+    expect(view(cy, api)).toEqual(after);
+    expect(api.isCollapsed(cy.$id('inner'))).toBe(true);
+  });
+  
+  test('nested operations restore projections exactly', () => {
+    api.collapse(cy.$id('inner'));
+    api.collapse(cy.$id('outer'));
+    const collapsed = view(cy, api);
+    
+    api.expand(cy.$id('outer'));
+    api.expand(cy.$id('inner'));
+    
+    api.undo();
+    api.undo();
+    expect(view(cy, api)).toEqual(collapsed);
+    
+    api.redo();
+    api.redo();
+    expect(cy.edges('.cy-compound-projection').length).toBe(0);
+    expect(cy.elements().filter(e => api.isHidden(e)).length).toBe(0);
+  });
+  
+  test('expand undo restores positions moved by expand', () => {
+    api.collapse(cy.$id('inner'));
+    cy.$id('a').position({ x: 500, y: 500 });
+    const before = view(cy, api);
+    
+    api.expand(cy.$id('inner'));
+    api.undo();
+    
+    expect(view(cy, api)).toEqual(before);
+  });
+  
+  test('no-op operations do not create steps', () => {
+    api.expand(cy.$id('inner'));
+    api.collapse(cy.$id('x'));
+    expect(api.canUndo()).toBe(false);
+  });
+  
+  test('new operation clears the redo stack', () => {
+    api.collapse(cy.$id('inner'));
+    api.undo();
+    api.collapse(cy.$id('outer'));
+    expect(api.canRedo()).toBe(false);
+  });
+  
+  test('batch groups operations into one step', () => {
+    const before = view(cy, api);
+    
+    api.batch(() => {
+      api.collapse(cy.$id('inner'));
+      api.collapse(cy.$id('outer'));
+    });
+    
+    api.undo();
+    expect(view(cy, api)).toEqual(before);
+    expect(api.canUndo()).toBe(false);
+  });
+  
+  test('collapseAll and expandAll are single steps', () => {
+    api.collapseAll();
+    api.expandAll();
+    
+    api.undo();
+    expect(api.collapsedNodes().length).toBe(2);
+    api.undo();
+    expect(api.collapsedNodes().length).toBe(0);
+    expect(api.canUndo()).toBe(false);
+  });
+  
+  test('resolveOverlaps is undoable when it moves nodes', () => {
+    const cy2 = cytoscape({
+      headless: true,
+      elements: [
+        { data: { id: 'n1' }, position: { x: 0, y: 0 } },
+        { data: { id: 'n2' }, position: { x: 0, y: 0 } },
+      ],
+      layout: { name: 'preset' }
+    });
+    const api2 = cy2.compoundManager({ animate: false });
+    
+    api2.resolveOverlaps();
+    expect(api2.canUndo()).toBe(true);
+    
+    api2.undo();
+    expect(cy2.$id('n1').position()).toEqual({ x: 0, y: 0 });
+    expect(cy2.$id('n2').position()).toEqual({ x: 0, y: 0 });
+  });
+  
+  test('runLayout is undoable once it settles', async () => {
+    const before = view(cy, api);
+    
+    await api.runLayout();
+    expect(api.canUndo()).toBe(true);
+    
+    api.undo();
+    expect(view(cy, api)).toEqual(before);
+  });
+  
+  test('undo while runLayout is pending keeps the redo step', async () => {
+    const before = view(cy, api);
+    api.collapse(cy.$id('inner'));
+    
+    const pending = api.runLayout();
+    api.undo();
+    await pending;
+    
+    expect(view(cy, api)).toEqual(before);
+    expect(api.canRedo()).toBe(true);
+  });
+  
+  test('undo drops a scheduled layout', async () => {
+    const auto = createGraph();
+    const autoApi = auto.compoundManager({ animate: false, autoLayout: true, layoutDebounce: 10 });
+    const before = view(auto, autoApi);
+    autoApi.collapse(auto.$id('outer'));
+    
+    autoApi.undo();
+    await autoApi.whenIdle();
+    
+    expect(view(auto, autoApi)).toEqual(before);
+    expect(autoApi.canRedo()).toBe(true);
+  });
+  
+  test('undoDepth limits the number of steps', () => {
+    const limited = createGraph();
+    const limitedApi = limited.compoundManager({ animate: false, undoDepth: 1 });
+    
+    limitedApi.collapse(limited.$id('inner'));
+    limitedApi.collapse(limited.$id('outer'));
+    
+    expect(limitedApi.undo()).toBe(true);
+    expect(limitedApi.undo()).toBe(false);
+    expect(limitedApi.isCollapsed(limited.$id('inner'))).toBe(true);
+  });
+  
+  test('historychange event reports stack state', () => {
+    const events = [];
+    cy.on('compoundmanager.historychange', (evt, info) => events.push(info));
+    
+    api.collapse(cy.$id('inner'));
+    api.undo();
+    
+    expect(events).toEqual([
+      { canUndo: true, canRedo: false },
+      { canUndo: false, canRedo: true }
+    ]);
+  });
+});
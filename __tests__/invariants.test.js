@@ -75,6 +75,44 @@ function createNestedGraph() {
   });
 }
 
+/**
+ * Create a chain of nested compounds of given depth
+ * 
+ * Structure (depth 3):
+ *   level0
+ *   └── level1 ──→ external
+ *       └── level2
+ *           └── leaf ──→ external
+ *   external ──→ leaf
+ */
+function createDeepGraph(depth) {
+  const elements = [];
+  for (let i = 0; i < depth; i++) {
+    elements.push({ data: { id: `level${i}`, parent: i > 0 ? `level${i - 1}` : undefined } });
+    elements.push({ data: { id: `member${i}`, parent: `level${i}` } });
+    elements.push({ data: { id: `m${i}`, source: `member${i}`, target: 'external' } });
+  }
+  elements.push({ data: { id: 'leaf', parent: `level${depth - 1}` } });
+  elements.push({ data: { id: 'external' } });
+  elements.push({ data: { id: 'out', source: 'leaf', target: 'external' } });
+  elements.push({ data: { id: 'in', source: 'external', target: 'leaf' } });
+  elements.push({ data: { id: 'inner', source: 'member0', target: 'leaf' } });
+  return cytoscape({ headless: true, elements });
+}
+
+/**
+ * Capture what is visible: hidden elements and projections
+ */
+function snapshotView(cy, api) {
+  return {
+    hidden: cy.elements().filter(e => api.isHidden(e)).map(e => e.id()).sort(),
+    projections: cy.edges('.cy-compound-projection')
+      .filter(e => !api.isHidden(e))
+      .map(e => `${e.id()}:${e.source().id()}->${e.target().id()}`)
+      .sort()
+  };
+}
+
 // ============================================
 // INVARIANT TESTS
 // ============================================
@@ -169,6 +207,83 @@ describe('Specification Invariants', () => {
       expect(api.isCollapsed(parent)).toBe(true);
       expect(api.isHidden(child)).toBe(true);
     });
+    
+    test('nested collapsed state preserves edges and projections', () => {
+      const cy = createNestedGraph();
+      const api = cy.compoundManager();
+      
+      const grandparent = cy.$('#grandparent');
+      const parent = cy.$('#parent');
+      
+      api.collapse(parent);
+      const [innerProjection] = api.getProjectedEdges(parent);
+      innerProjection.data('tag', 'user-data');
+      
+      // Outer collapse suspends the inner projection
+      api.collapse(grandparent);
+      expect(api.getProjectedEdges(parent).length).toBe(0);
+      expect(api.isHidden(innerProjection)).toBe(true);
+      
+      const [outerProjection] = api.getProjectedEdges(grandparent);
+      expect(outerProjection.source().id()).toBe('grandparent');
+      expect(outerProjection.target().id()).toBe('external');
+      
+      // Outer expand restores exactly the same projection element
+      api.expand(grandparent);
+      expect(api.getProjectedEdges(grandparent).length).toBe(0);
+      expect(cy.$id(outerProjection.id()).empty()).toBe(true);
+      
+      const restored = api.getProjectedEdges(parent);
+      expect(restored.length).toBe(1);
+      expect(restored[0].id()).toBe(innerProjection.id());
+      expect(restored[0].data('tag')).toBe('user-data');
+      expect(api.isHidden(cy.$('#e1'))).toBe(true);
+      
+      // Inner expand brings the original edge back
+      api.expand(parent);
+      expect(cy.edges('.cy-compound-projection').length).toBe(0);
+      expect(api.isHidden(cy.$('#e1'))).toBe(false);
+    });
+    
+    test.each([2, 3, 5])('nested collapse round-trips at depth %i', (depth) => {
+      const cy = createDeepGraph(depth);
+      const api = cy.compoundManager({ animate: false });
+      
+      // Collapse innermost first, recording the view after each step
+      const snapshots = [snapshotView(cy, api)];
+      for (let i = depth - 1; i >= 0; i--) {
+        api.collapse(cy.$id(`level${i}`));
+        snapshots.push(snapshotView(cy, api));
+        
+        cy.edges('.cy-compound-projection').filter(e => !api.isHidden(e)).forEach(proj => {
+          expect(api.isHidden(proj.source())).toBe(false);
+          expect(api.isHidden(proj.target())).toBe(false);
+        });
+      }
+      
+      // Expanding outermost first walks back through the same views
+      for (let i = 0; i < depth; i++) {
+        snapshots.pop();
+        api.expand(cy.$id(`level${i}`));
+        expect(snapshotView(cy, api)).toEqual(snapshots[snapshots.length - 1]);
+      }
+      
+      expect(cy.elements().filter(e => api.isHidden(e)).length).toBe(0);
+    });
+    
+    test('expanding a middle level keeps deeper collapsed contents hidden', () => {
+      const cy = createDeepGraph(4);
+      const api = cy.compoundManager({ animate: false });
+      
+      api.collapse(cy.$id('level2'));
+      api.collapse(cy.$id('level0'));
+      api.expand(cy.$id('level0'));
+      
+      expect(api.isHidden(cy.$id('level2'))).toBe(false);
+      expect(api.isHidden(cy.$id('level3'))).toBe(true);
+      expect(api.isHidden(cy.$id('member3'))).toBe(true);
+      expect(api.isHidden(cy.$id('leaf'))).toBe(true);
+    });
   });
   
   /**
@@ -229,6 +344,70 @@ describe('Specification Invariants', () => {
     });
   });
   
+  /**
+   * INV 4.3: Projekcja łączy widocznych reprezentantów obu końców
+   * 
+   * @see SPECIFICATION.md 6.1
+   */
+  describe('INV-4.3: Projection between collapsed compounds', () => {
+    
+    test('edge between two collapsed compounds becomes a meta-edge', () => {
+      const cy = createTestGraph();
+      const api = cy.compoundManager();
+      
+      api.collapse(cy.$('#parent1'));
+      api.collapse(cy.$('#parent2'));
+      
+      // child3 → child1 is now parent2 → parent1
+      const projections = api.getProjectedEdges(cy.$('#parent2'));
+      expect(projections.length).toBe(1);
+      expect(projections[0].source().id()).toBe('parent2');
+      expect(projections[0].target().id()).toBe('parent1');
+      
+      // Same projection is reported for both endpoints
+      const parent1Projections = api.getProjectedEdges(cy.$('#parent1'));
+      expect(parent1Projections.map(p => p.id())).toContain(projections[0].id());
+    });
+    
+    test('projections never point at hidden elements', () => {
+      const cy = createTestGraph();
+      const api = cy.compoundManager();
+      
+      api.collapse(cy.$('#parent1'));
+      api.collapse(cy.$('#parent2'));
+      
+      // Suspended projections are hidden themselves; visible ones end at visible nodes
+      cy.edges('.cy-compound-projection').filter(e => !api.isHidden(e)).forEach(proj => {
+        expect(api.isHidden(proj.source())).toBe(false);
+        expect(api.isHidden(proj.target())).toBe(false);
+      });
+    });
+    
+    test('projections follow the endpoint when the other side expands', () => {
+      const cy = createTestGraph();
+      const api = cy.compoundManager();
+      
+      api.collapse(cy.$('#parent1'));
+      api.collapse(cy.$('#parent2'));
+      api.expand(cy.$('#parent1'));
+      
+      // child3 → child1 is now parent2 → child1
+      const projections = api.getProjectedEdges(cy.$('#parent2'));
+      expect(projections.length).toBe(1);
+      expect(projections[0].target().id()).toBe('child1');
+      expect(api.isHidden(cy.$('#e3'))).toBe(true);
+      
+      // parent1 → external1 projection is gone, originals are back
+      expect(api.getProjectedEdges(cy.$('#parent1')).length).toBe(0);
+      expect(api.isHidden(cy.$('#e1'))).toBe(false);
+      expect(api.isHidden(cy.$('#e2'))).toBe(false);
+      
+      api.expand(cy.$('#parent2'));
+      expect(cy.edges('.cy-compound-projection').length).toBe(0);
+      expect(api.isHidden(cy.$('#e3'))).toBe(false);
+    });
+  });
+  
   /**
    * INV 4.3: Relacje wewnętrzne poddrzewa nie są projektowane
    * 
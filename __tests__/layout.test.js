@@ -8,7 +8,7 @@
  */
 
 import cytoscape from 'cytoscape';
-import register from '../src/index.js';
+import register, { registerLayout } from '../src/index.js';
 
 register(cytoscape);
 
@@ -92,6 +92,451 @@ describe('Layout Integration', () => {
   });
 });
 
+describe('Compound Overlaps', () => {
+  let cy, api;
+
+  /**
+   * Structure:
+   *   groupA (a1, a2)      groupB (b1, b2)      loose
+   * groupB's contents start inside groupA's box.
+   */
+  beforeEach(() => {
+    cy = cytoscape({
+      headless: true,
+      elements: [
+        { data: { id: 'groupA' } },
+        { data: { id: 'a1', parent: 'groupA' }, position: { x: 0, y: 0 } },
+        { data: { id: 'a2', parent: 'groupA' }, position: { x: 100, y: 0 } },
+        { data: { id: 'groupB' } },
+        { data: { id: 'b1', parent: 'groupB' }, position: { x: 50, y: 1 } },
+        { data: { id: 'b2', parent: 'groupB' }, position: { x: 150, y: 1 } },
+        { data: { id: 'loose' }, position: { x: 500, y: 0 } }
+      ],
+      layout: { name: 'preset' }
+    });
+    api = cy.compoundManager({ animate: false });
+  });
+
+  const offset = (id1, id2) => ({
+    x: cy.$id(id2).position().x - cy.$id(id1).position().x,
+    y: cy.$id(id2).position().y - cy.$id(id1).position().y
+  });
+
+  test('overlapping expanded compounds count as overlaps', () => {
+    expect(api.hasOverlaps()).toBe(true);
+  });
+
+  test('expanded compounds are separated as rigid groups', () => {
+    expect(api.resolveOverlaps()).toBe(true);
+
+    expect(api.hasOverlaps()).toBe(false);
+    expect(offset('a1', 'a2')).toEqual({ x: 100, y: 0 });
+    expect(offset('b1', 'b2')).toEqual({ x: 100, y: 0 });
+  });
+
+  test('non-members are kept out of a compound box', () => {
+    cy.$id('groupB').children().position({ x: 1000, y: 1000 });
+    cy.$id('b2').position({ x: 1100, y: 1000 });
+    cy.$id('loose').position({ x: 50, y: 1 });
+    expect(api.hasOverlaps()).toBe(true);
+
+    api.resolveOverlaps();
+
+    const loose = cy.$id('loose').position();
+    const inside = loose.x > 0 && loose.x < 100 && Math.abs(loose.y) < 3;
+    expect(inside).toBe(false);
+    expect(offset('a1', 'a2')).toEqual({ x: 100, y: 0 });
+  });
+
+  test('locked nodes stay and the other node moves the full distance', () => {
+    cy.$id('groupB').children().position({ x: 1000, y: 1000 });
+    cy.$id('b2').position({ x: 1100, y: 1000 });
+    cy.$id('loose').position({ x: 1101, y: 1000 });
+    cy.$id('loose').lock();
+
+    expect(api.resolveOverlaps()).toBe(true);
+
+    expect(cy.$id('loose').position()).toEqual({ x: 1101, y: 1000 });
+    expect(api.hasOverlaps()).toBe(false);
+  });
+
+  test('a compound holding a locked node is not moved', () => {
+    cy.$id('a1').lock();
+
+    expect(api.resolveOverlaps()).toBe(true);
+
+    expect(cy.$id('a2').position()).toEqual({ x: 100, y: 0 });
+    expect(api.hasOverlaps()).toBe(false);
+  });
+
+  test('overlaps between locked nodes are left alone', () => {
+    cy.$id('a1').lock();
+    cy.$id('b1').lock();
+
+    expect(api.resolveOverlaps()).toBe(true);
+    expect(cy.$id('b2').position()).toEqual({ x: 150, y: 1 });
+  });
+
+  test('nested compounds move with their parent', () => {
+    cy.add([
+      { data: { id: 'inner', parent: 'groupB' } },
+      { data: { id: 'i1', parent: 'inner' }, position: { x: 100, y: 40 } }
+    ]);
+    api.collapse(cy.$id('inner'));
+    const before = [offset('b1', 'inner'), offset('b1', 'i1')];
+    const start = { ...cy.$id('b1').position() };
+
+    api.resolveOverlaps();
+
+    expect(cy.$id('b1').position()).not.toEqual(start);
+    expect([offset('b1', 'inner'), offset('b1', 'i1')]).toEqual(before);
+    expect(api.hasOverlaps()).toBe(false);
+  });
+});
+
+describe('Settling', () => {
+  let cy;
+
+  beforeEach(() => {
+    cy = cytoscape({
+      headless: true,
+      elements: [
+        { data: { id: 'parent' } },
+        { data: { id: 'child1', parent: 'parent' }, position: { x: 0, y: 0 } },
+        { data: { id: 'child2', parent: 'parent' }, position: { x: 100, y: 0 } },
+        { data: { id: 'external' }, position: { x: 300, y: 0 } },
+        { data: { id: 'e1', source: 'child1', target: 'external' } }
+      ],
+      layout: { name: 'preset' }
+    });
+  });
+
+  test('whenIdle resolves immediately when nothing is pending', async () => {
+    const api = cy.compoundManager({ animate: false });
+    await expect(api.whenIdle()).resolves.toBeUndefined();
+  });
+
+  test('animated expand settles at the saved local positions', async () => {
+    const api = cy.compoundManager({ animate: true, animationDuration: 50 });
+    api.collapse(cy.$id('parent'));
+    cy.$id('child1').position({ x: 50, y: 0 });
+    cy.$id('child2').position({ x: 50, y: 0 });
+
+    await api.expand(cy.$id('parent')).whenIdle();
+
+    expect(cy.nodes().some(n => n.animated())).toBe(false);
+    expect(cy.$id('child2').position().x - cy.$id('child1').position().x).toBeCloseTo(100);
+  });
+
+  test('whenIdle waits for the debounced auto layout', async () => {
+    const api = cy.compoundManager({ animate: false, autoLayout: true, layoutDebounce: 10 });
+    let layouts = 0;
+    cy.on('layoutstop', () => layouts++);
+
+    await api.collapse(cy.$id('parent')).whenIdle();
+
+    expect(layouts).toBe(1);
+  });
+
+  test('rapid operations run a single layout for the final state', async () => {
+    const api = cy.compoundManager({ animate: false, autoLayout: true, layoutDebounce: 10 });
+    let layouts = 0;
+    cy.on('layoutstop', () => layouts++);
+
+    api.collapse(cy.$id('parent'));
+    api.expand(cy.$id('parent'));
+    api.collapse(cy.$id('parent'));
+    await api.whenIdle();
+
+    expect(layouts).toBe(1);
+  });
+
+  test('a superseded layout resolves false', async () => {
+    const api = cy.compoundManager({ animate: true, animationDuration: 50 });
+
+    const first = api.runLayout();
+    const second = api.runLayout();
+
+    await expect(first).resolves.toBe(false);
+    await expect(second).resolves.toBe(true);
+    await api.whenIdle();
+  });
+});
+
+describe('Layout Strategies', () => {
+  let cy;
+  
+  beforeEach(() => {
+    cy = cytoscape({
+      headless: true,
+      elements: [
+        { data: { id: 'parent' } },
+        { data: { id: 'child1', parent: 'parent' }, position: { x: 0, y: 0 } },
+        { data: { id: 'child2', parent: 'parent' }, position: { x: 100, y: 0 } },
+        { data: { id: 'external' }, position: { x: 300, y: 0 } },
+        { data: { id: 'far' }, position: { x: 900, y: 900 } },
+        { data: { id: 'e1', source: 'child1', target: 'external' } }
+      ],
+      layout: { name: 'preset' }
+    });
+  });
+  
+  test('registered function strategy runs the global layout', async () => {
+    const requests = [];
+    registerLayout('test-line', (cy, request) => {
+      requests.push(request);
+      request.eles.nodes().forEach((n, i) => n.position({ x: i * 200, y: 0 }));
+    });
+    const api = cy.compoundManager({ animate: false, layout: 'test-line' });
+    api.collapse(cy.$id('parent'));
+    
+    await expect(api.runLayout()).resolves.toBe(true);
+    
+    expect(requests).toHaveLength(1);
+    expect(requests[0].local).toBe(false);
+    expect(requests[0].eles.nodes().map(n => n.id()).sort()).toEqual(['external', 'far', 'parent']);
+    expect(cy.$id('far').position()).toEqual({ x: 400, y: 0 });
+  });
+  
+  test('async function strategy is awaited', async () => {
+    const api = cy.compoundManager({
+      animate: false,
+      layout: (cy, request) => new Promise(resolve => setTimeout(() => {
+        request.eles.nodes('#far').position({ x: 600, y: 600 });
+        resolve();
+      }, 10))
+    });
+    
+    await api.runLayout();
+    
+    expect(cy.$id('far').position()).toEqual({ x: 600, y: 600 });
+  });
+  
+  test('a failing strategy resolves false and emits layouterror', async () => {
+    const api = cy.compoundManager({
+      animate: false,
+      layout: () => { throw new Error('layout failed'); }
+    });
+    const errors = [];
+    const stops = [];
+    cy.on('compoundmanager.layouterror', (evt, { error }) => errors.push(error.message));
+    cy.on('compoundmanager.layoutstop', (evt, { completed }) => stops.push(completed));
+    cy.on('compoundmanager.overlapsresolved', () => stops.push('resolved'));
+    
+    await expect(api.runLayout()).resolves.toBe(false);
+    await expect(api.runLayout(() => Promise.reject(new Error('async failure')))).resolves.toBe(false);
+    
+    expect(errors).toEqual(['layout failed', 'async failure']);
+    expect(stops).toEqual([false, false]);
+  });
+  
+  test('global and local layouts use separate strategies', async () => {
+    const used = [];
+    const api = cy.compoundManager({
+      animate: false,
+      layout: () => used.push('global'),
+      localLayout: (cy, request) => used.push(`local:${request.node.id()}`)
+    });
+    
+    await api.runLayout();
+    await api.runLocalLayout(cy.$id('parent'));
+    
+    expect(used).toEqual(['global', 'local:parent']);
+  });
+  
+  test('a strategy can be chosen per call', async () => {
+    const api = cy.compoundManager({ animate: false });
+    let ran = false;
+    
+    await api.runLayout(() => { ran = true; });
+    
+    expect(ran).toBe(true);
+  });
+  
+  test('unregistered names run the cytoscape layout with per-strategy options', async () => {
+    const api = cy.compoundManager({ animate: false, layoutOptions: { grid: { rows: 1 } } });
+    
+    await api.runLayout('grid');
+    
+    expect(cy.$id('far').position().y).toBe(cy.$id('external').position().y);
+  });
+  
+  test('cola options are not spread into other layouts', async () => {
+    const api = cy.compoundManager({ animate: false, layout: 'cose', colaOptions: { flow: 'x' } });
+    let options;
+    cy.on('compoundmanager.layoutstart', (evt, { layout }) => { options = layout.options; });
+    
+    await api.runLayout();
+    
+    expect(options.name).toBe('cose');
+    expect(options.flow).toBeUndefined();
+    expect(options.edgeLength).toBeUndefined();
+  });
+  
+  test('registerLayout rejects invalid strategies', () => {
+    expect(() => registerLayout('broken', {})).toThrow('Layout strategy "broken" must be a function or { layout, options }');
+  });
+});
+
+describe('Incremental Layout', () => {
+  let cy;
+  
+  /**
+   * group (children spread over 0..200 x 0..100) with a neighbor that ended up
+   * inside the group's expanded area while it was collapsed, and a far node
+   */
+  beforeEach(() => {
+    cy = cytoscape({
+      headless: true,
+      elements: [
+        { data: { id: 'group' } },
+        { data: { id: 'a', parent: 'group' }, position: { x: 0, y: 0 } },
+        { data: { id: 'b', parent: 'group' }, position: { x: 200, y: 0 } },
+        { data: { id: 'c', parent: 'group' }, position: { x: 100, y: 100 } },
+        { data: { id: 'inside' }, position: { x: 120, y: 40 } },
+        { data: { id: 'far' }, position: { x: 1000, y: 0 } },
+        { data: { id: 'e1', source: 'a', target: 'inside' } },
+        { data: { id: 'e2', source: 'b', target: 'far' } }
+      ],
+      layout: { name: 'preset' }
+    });
+  });
+  
+  // Keeps the children where expand restored them
+  const keepPositions = () => {};
+  
+  test('neighbors are locked while the contents are laid out', async () => {
+    let lockedDuringLayout;
+    const api = cy.compoundManager({
+      animate: false,
+      incremental: true,
+      localLayout: (cy, request) => {
+        lockedDuringLayout = request.fixed.map(n => n.locked());
+        request.eles.nodes().forEach(n => n.position({ x: 0, y: 0 }));
+      }
+    });
+    
+    await api.runLocalLayout(cy.$id('group'));
+    
+    expect(lockedDuringLayout).toEqual([true, true]);
+    expect(cy.$id('far').position()).toEqual({ x: 1000, y: 0 });
+    expect(cy.$id('far').locked()).toBe(false);
+  });
+  
+  test('nodes inside the expanded compound are pushed radially out of it', async () => {
+    const api = cy.compoundManager({ animate: false, incremental: true, localLayout: keepPositions });
+    
+    await api.runLocalLayout(cy.$id('group'));
+    
+    const inside = cy.$id('inside').position();
+    expect(inside.y).toBeLessThan(-10);
+    expect(inside.x).toBeGreaterThan(120);
+    expect(cy.$id('a').position()).toEqual({ x: 0, y: 0 });
+  });
+  
+  test('displacement is bounded by maxDisplacement', async () => {
+    const api = cy.compoundManager({
+      animate: false,
+      incremental: { maxDisplacement: 10 },
+      localLayout: keepPositions
+    });
+    
+    await api.runLocalLayout(cy.$id('group'));
+    
+    const { x, y } = cy.$id('inside').position();
+    expect(Math.hypot(x - 120, y - 40)).toBeCloseTo(10);
+  });
+  
+  test('nodes clear of the compound do not move', async () => {
+    const api = cy.compoundManager({ animate: false, incremental: true, localLayout: keepPositions });
+    cy.$id('inside').position({ x: 120, y: 300 });
+    
+    await api.runLocalLayout(cy.$id('group'));
+    
+    expect(cy.$id('inside').position()).toEqual({ x: 120, y: 300 });
+    expect(cy.$id('far').position()).toEqual({ x: 1000, y: 0 });
+  });
+  
+  test('other compounds move as rigid units', async () => {
+    cy.add([
+      { data: { id: 'other' } },
+      { data: { id: 'o1', parent: 'other' }, position: { x: 150, y: 60 } },
+      { data: { id: 'o2', parent: 'other' }, position: { x: 150, y: 400 } }
+    ]);
+    const api = cy.compoundManager({ animate: false, incremental: true, localLayout: keepPositions });
+    
+    await api.runLocalLayout(cy.$id('group'));
+    
+    const o1 = cy.$id('o1').position();
+    const o2 = cy.$id('o2').position();
+    expect(o1.y).toBeGreaterThan(60);
+    expect(o2.x - o1.x).toBeCloseTo(0);
+    expect(o2.y - o1.y).toBeCloseTo(340);
+  });
+  
+  test('units holding a node the user locked are not pushed', async () => {
+    cy.add([
+      { data: { id: 'other' } },
+      { data: { id: 'o1', parent: 'other' }, position: { x: 150, y: 60 } },
+      { data: { id: 'o2', parent: 'other' }, position: { x: 150, y: 400 } }
+    ]);
+    const api = cy.compoundManager({ animate: false, incremental: true, localLayout: keepPositions });
+    cy.$id('o2').lock();
+    
+    await api.runLocalLayout(cy.$id('group'));
+    
+    expect(cy.$id('o1').position()).toEqual({ x: 150, y: 60 });
+    expect(cy.$id('o2').position()).toEqual({ x: 150, y: 400 });
+    expect(cy.$id('o2').locked()).toBe(true);
+  });
+  
+  test('a superseded layout leaves the neighbors locked for the one replacing it', async () => {
+    const finishers = [];
+    const lockedDuringLayout = [];
+    const api = cy.compoundManager({
+      animate: false,
+      incremental: true,
+      localLayout: (cy, request) => new Promise(resolve => {
+        finishers.push(() => {
+          lockedDuringLayout.push(request.fixed.map(n => n.locked()));
+          resolve();
+        });
+      })
+    });
+    
+    const first = api.runLocalLayout(cy.$id('group'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    const second = api.runLocalLayout(cy.$id('group'));
+    
+    expect(await first).toBe(false);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    finishers[1]();
+    
+    expect(await second).toBe(true);
+    expect(lockedDuringLayout).toEqual([[true, true]]);
+    expect(cy.$id('inside').locked()).toBe(false);
+    expect(cy.$id('far').locked()).toBe(false);
+  });
+  
+  test('auto layout after expand uses the incremental mode', async () => {
+    const api = cy.compoundManager({
+      animate: false,
+      autoLayout: true,
+      layoutDebounce: 10,
+      incremental: true,
+      localLayout: keepPositions
+    });
+    api.setAutoLayout(false);
+    api.collapse(cy.$id('group'));
+    api.setAutoLayout(true);
+    
+    await api.expand(cy.$id('group')).whenIdle();
+    
+    expect(cy.$id('inside').position().y).toBeLessThan(-10);
+    expect(cy.$id('far').position()).toEqual({ x: 1000, y: 0 });
+  });
+});
+
 describe('Debouncing', () => {
   test('debounce delays function execution', (done) => {
     let callCount = 0;
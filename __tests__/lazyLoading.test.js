@@ -0,0 +1,182 @@
+/**
+ * Lazy Loading Tests
+ * 
+ * Compounds marked data.unloaded load their children on first expand.
+ */
+
+import cytoscape from 'cytoscape';
+import register from '../src/index.js';
+
+register(cytoscape);
+
+/**
+ * Structure:
+ *   dc1 (unloaded) ··stub··→ other
+ *   other
+ */
+function createGraph() {
+  return cytoscape({
+    headless: true,
+    elements: [
+      { data: { id: 'dc1', unloaded: true }, position: { x: 0, y: 0 } },
+      { data: { id: 'other' }, position: { x: 300, y: 0 } },
+      { data: { id: 'stub1', source: 'dc1', target: 'other', stub: true } },
+    ]
+  });
+}
+
+const children = [
+  { data: { id: 'host1' } },
+  { data: { id: 'host2' } },
+  { data: { id: 'internal', source: 'host1', target: 'host2' } },
+  { data: { id: 'out', source: 'host1', target: 'other' } },
+];
+
+function waitFor(cy, event) {
+  return new Promise(resolve => cy.one(event, (evt, data) => resolve(data)));
+}
+
+describe('Lazy Loading', () => {
+  let cy;
+  
+  beforeEach(() => {
+    cy = createGraph();
+  });
+  
+  test('unloaded compound starts collapsed with stub edges as projections', () => {
+    const api = cy.compoundManager({ animate: false, loadChildren: () => Promise.resolve(children) });
+    
+    expect(api.isCollapsed(cy.$id('dc1'))).toBe(true);
+    expect(cy.$id('stub1').hasClass('cy-compound-projection')).toBe(true);
+    expect(api.getProjectedEdges(cy.$id('dc1')).map(e => e.id())).toEqual(['stub1']);
+  });
+  
+  test('expand loads children, then builds visibility and projections', async () => {
+    const api = cy.compoundManager({ animate: false, loadChildren: () => Promise.resolve(children) });
+    const dc1 = cy.$id('dc1');
+    
+    const loaded = waitFor(cy, 'compoundmanager.loaded');
+    api.expand(dc1);
+    expect(api.isLoading(dc1)).toBe(true);
+    expect(dc1.hasClass('cy-compound-loading')).toBe(true);
+    await loaded;
+    
+    expect(api.isLoading(dc1)).toBe(false);
+    expect(dc1.hasClass('cy-compound-loading')).toBe(false);
+    expect(api.isCollapsed(dc1)).toBe(false);
+    expect(dc1.data('unloaded')).toBe(false);
+    expect(cy.$id('stub1').empty()).toBe(true);
+    expect(cy.$id('host1').parent().id()).toBe('dc1');
+    expect(api.isHidden(cy.$id('host1'))).toBe(false);
+    expect(api.isHidden(cy.$id('out'))).toBe(false);
+    expect(cy.edges('.cy-compound-projection').empty()).toBe(true);
+  });
+  
+  test('loaded children without positions are placed around the parent', async () => {
+    const api = cy.compoundManager({ animate: false, loadChildren: () => Promise.resolve(children) });
+    
+    const loaded = waitFor(cy, 'compoundmanager.loaded');
+    api.expand(cy.$id('dc1'));
+    await loaded;
+    
+    const p1 = cy.$id('host1').position();
+    const p2 = cy.$id('host2').position();
+    expect(p1).not.toEqual(p2);
+    expect(Math.abs(p1.x)).toBeLessThan(100);
+    expect(Math.abs(p2.x)).toBeLessThan(100);
+  });
+  
+  test('collapse after load projects the real edges', async () => {
+    const api = cy.compoundManager({ animate: false, loadChildren: () => Promise.resolve({ elements: children }) });
+    const dc1 = cy.$id('dc1');
+    
+    const loaded = waitFor(cy, 'compoundmanager.loaded');
+    api.expand(dc1);
+    await loaded;
+    api.collapse(dc1);
+    
+    const projections = api.getProjectedEdges(dc1);
+    expect(projections.length).toBe(1);
+    expect(projections[0].data('originalIds')).toEqual(['out']);
+  });
+  
+  test('concurrent expands call the loader once', async () => {
+    let calls = 0;
+    const api = cy.compoundManager({
+      animate: false,
+      loadChildren: () => { calls++; return Promise.resolve(children); }
+    });
+    
+    const loaded = waitFor(cy, 'compoundmanager.loaded');
+    api.expand(cy.$id('dc1'));
+    api.expand(cy.$id('dc1'));
+    await loaded;
+    
+    expect(calls).toBe(1);
+  });
+  
+  test('the expand after loading is an undo step', async () => {
+    const api = cy.compoundManager({ animate: false, loadChildren: () => Promise.resolve(children) });
+    const dc1 = cy.$id('dc1');
+    
+    await api.expand(dc1).whenIdle();
+    expect(api.canUndo()).toBe(true);
+    
+    api.undo();
+    expect(api.isCollapsed(dc1)).toBe(true);
+    expect(api.isHidden(cy.$id('host1'))).toBe(true);
+    
+    api.redo();
+    expect(api.isCollapsed(dc1)).toBe(false);
+    expect(api.isHidden(cy.$id('host1'))).toBe(false);
+  });
+  
+  test('expanding an unloaded compound without loadChildren emits loaderror', () => {
+    const api = cy.compoundManager({ animate: false });
+    const errors = [];
+    cy.on('compoundmanager.loaderror', (evt, { node, error }) => errors.push([node.id(), error.message]));
+    
+    api.expand(cy.$id('dc1'));
+    
+    expect(errors).toEqual([['dc1', 'Cannot load "dc1": no loadChildren option']]);
+    expect(api.isCollapsed(cy.$id('dc1'))).toBe(true);
+  });
+  
+  test('loader failure emits loaderror and keeps the compound unloaded', async () => {
+    const error = new Error('offline');
+    const api = cy.compoundManager({ animate: false, loadChildren: () => Promise.reject(error) });
+    const dc1 = cy.$id('dc1');
+    
+    const failed = waitFor(cy, 'compoundmanager.loaderror');
+    api.expand(dc1);
+    const data = await failed;
+    
+    expect(data.error).toBe(error);
+    expect(dc1.hasClass('cy-compound-loading')).toBe(false);
+    expect(api.isCollapsed(dc1)).toBe(true);
+    expect(dc1.data('unloaded')).toBe(true);
+    expect(cy.$id('stub1').nonempty()).toBe(true);
+  });
+  
+  test('invalid loaded elements are rolled back and reported', async () => {
+    const invalid = [
+      { data: { id: 'host1' } },
+      { data: { id: 'broken', source: 'host1', target: 'missing' } }
+    ];
+    const api = cy.compoundManager({ animate: false, loadChildren: () => Promise.resolve(invalid) });
+    const dc1 = cy.$id('dc1');
+    
+    const failed = waitFor(cy, 'compoundmanager.loaderror');
+    api.expand(dc1);
+    const data = await failed;
+    
+    expect(data.error).toBeInstanceOf(Error);
+    expect(api.isLoading(dc1)).toBe(false);
+    expect(dc1.hasClass('cy-compound-loading')).toBe(false);
+    expect(api.isCollapsed(dc1)).toBe(true);
+    expect(dc1.data('unloaded')).toBe(true);
+    expect(cy.$id('host1').empty()).toBe(true);
+    expect(cy.$id('stub1').nonempty()).toBe(true);
+    expect(api.getProjectedEdges(dc1).map(e => e.id())).toEqual(['stub1']);
+  });
+});
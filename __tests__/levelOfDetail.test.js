@@ -0,0 +1,141 @@
+/**
+ * Level of Detail Tests
+ * 
+ * Zoom-driven automatic collapse/expand with hysteresis and pinning.
+ */
+
+import cytoscape from 'cytoscape';
+import register from '../src/index.js';
+
+register(cytoscape);
+
+/**
+ * Structure (content sizes at zoom 1):
+ *   big   (~200px: children 200 apart)
+ *   └── small (~20px: children 20 apart)
+ *   other (~100px)
+ */
+function createGraph() {
+  return cytoscape({
+    headless: true,
+    elements: [
+      { data: { id: 'big' } },
+      { data: { id: 'b1', parent: 'big' }, position: { x: 0, y: 0 } },
+      { data: { id: 'small', parent: 'big' } },
+      { data: { id: 's1', parent: 'small' }, position: { x: 180, y: 0 } },
+      { data: { id: 's2', parent: 'small' }, position: { x: 200, y: 0 } },
+      { data: { id: 'other' } },
+      { data: { id: 'o1', parent: 'other' }, position: { x: 0, y: 300 } },
+      { data: { id: 'o2', parent: 'other' }, position: { x: 100, y: 300 } },
+    ],
+    layout: { name: 'preset' }
+  });
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 30));
+
+describe('Level of Detail', () => {
+  let cy, api;
+  
+  beforeEach(() => {
+    cy = createGraph();
+    api = cy.compoundManager({
+      animate: false,
+      levelOfDetail: { collapseBelow: 40, expandAbove: 80, debounce: 10 }
+    });
+  });
+  
+  test('disabled unless configured', async () => {
+    const plainCy = createGraph();
+    const plainApi = plainCy.compoundManager({ animate: false });
+    
+    expect(plainApi.isLevelOfDetailEnabled()).toBe(false);
+    plainCy.zoom(0.01);
+    await new Promise(resolve => setTimeout(resolve, 200));
+    expect(plainApi.collapsedNodes().length).toBe(0);
+  });
+  
+  test('compounds collapse when zoomed out', async () => {
+    expect(api.isLevelOfDetailEnabled()).toBe(true);
+    
+    cy.zoom(0.1);
+    await settle();
+    
+    expect(api.isCollapsed(cy.$id('big'))).toBe(true);
+    expect(api.isCollapsed(cy.$id('other'))).toBe(true);
+    
+    // Nested state stacked innermost first
+    expect(api.isCollapsed(cy.$id('small'))).toBe(true);
+  });
+  
+  test('compounds expand when zoomed back in', async () => {
+    cy.zoom(0.1);
+    await settle();
+    
+    cy.zoom(0.5);
+    await settle();
+    
+    // big: 200 * 0.5 > 80, other: 100 * 0.5 within the band, small: too small
+    expect(api.isCollapsed(cy.$id('big'))).toBe(false);
+    expect(api.isCollapsed(cy.$id('other'))).toBe(true);
+    expect(api.isCollapsed(cy.$id('small'))).toBe(true);
+  });
+  
+  test('hysteresis keeps state between thresholds', async () => {
+    cy.zoom(0.3);
+    await settle();
+    
+    // big at 60px: between collapseBelow and expandAbove, stays expanded
+    expect(api.isCollapsed(cy.$id('big'))).toBe(false);
+    
+    cy.zoom(0.1);
+    await settle();
+    cy.zoom(0.3);
+    await settle();
+    
+    // Same zoom, coming from below: stays collapsed
+    expect(api.isCollapsed(cy.$id('big'))).toBe(true);
+  });
+  
+  test('zoom changes are debounced', async () => {
+    const events = [];
+    cy.on('compoundmanager.collapse', (evt, info) => events.push(info.node.id()));
+    
+    cy.zoom(0.1);
+    cy.zoom(1);
+    cy.zoom(0.1);
+    expect(events.length).toBe(0);
+    
+    await settle();
+    expect(events.sort()).toEqual(['big', 'other', 'small']);
+  });
+  
+  test('pinned compounds are left alone', async () => {
+    api.pin(cy.$id('big'));
+    api.collapse(cy.$id('other'));
+    api.pin(cy.$id('other'));
+    expect(api.isPinned(cy.$id('big'))).toBe(true);
+    
+    cy.zoom(0.1);
+    await settle();
+    expect(api.isCollapsed(cy.$id('big'))).toBe(false);
+    
+    cy.zoom(2);
+    await settle();
+    expect(api.isCollapsed(cy.$id('other'))).toBe(true);
+    
+    api.unpin(cy.$id('big'));
+    cy.zoom(0.1);
+    await settle();
+    expect(api.isCollapsed(cy.$id('big'))).toBe(true);
+  });
+  
+  test('setLevelOfDetail applies to the current zoom', () => {
+    const plainCy = createGraph();
+    const plainApi = plainCy.compoundManager({ animate: false });
+    plainCy.zoom(0.1);
+    
+    plainApi.setLevelOfDetail(true);
+    expect(plainApi.collapsedNodes().length).toBe(3);
+  });
+});
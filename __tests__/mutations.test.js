@@ -0,0 +1,224 @@
+/**
+ * Graph Mutation Tests
+ * 
+ * Elements added, removed or reparented after collapse keep
+ * visibility, saved positions and projections consistent.
+ */
+
+import cytoscape from 'cytoscape';
+import register from '../src/index.js';
+
+register(cytoscape);
+
+/**
+ * Structure:
+ *   group
+ *   ├── a ──→ x
+ *   └── b
+ *   x
+ *   y
+ */
+function createGraph() {
+  return cytoscape({
+    headless: true,
+    elements: [
+      { data: { id: 'group' } },
+      { data: { id: 'a', parent: 'group' }, position: { x: 0, y: 0 } },
+      { data: { id: 'b', parent: 'group' }, position: { x: 20, y: 0 } },
+      { data: { id: 'x' }, position: { x: 200, y: 0 } },
+      { data: { id: 'y' }, position: { x: 200, y: 100 } },
+      { data: { id: 'e1', source: 'a', target: 'x' } },
+    ],
+    layout: { name: 'preset' }
+  });
+}
+
+function projectionTo(api, node, targetId) {
+  return api.getProjectedEdges(node).find(p => p.target().id() === targetId || p.source().id() === targetId);
+}
+
+describe('Graph Mutations', () => {
+  let cy, api, group;
+  
+  beforeEach(() => {
+    cy = createGraph();
+    api = cy.compoundManager({ animate: false });
+    group = cy.$id('group');
+    api.collapse(group);
+  });
+  
+  describe('add', () => {
+    test('child added to a collapsed compound is hidden', () => {
+      cy.add({ data: { id: 'c', parent: 'group' }, position: { x: 40, y: 40 } });
+      
+      expect(api.isHidden(cy.$id('c'))).toBe(true);
+      expect(group.data('descendantCount')).toBe(3);
+    });
+    
+    test('added child is shown at its position on expand', () => {
+      cy.add({ data: { id: 'c', parent: 'group' }, position: { x: 40, y: 40 } });
+      const offset = { x: 40 - cy.$id('a').position().x, y: 40 - cy.$id('a').position().y };
+      
+      api.expand(group);
+      
+      expect(api.isHidden(cy.$id('c'))).toBe(false);
+      expect(cy.$id('c').position().x - cy.$id('a').position().x).toBeCloseTo(offset.x);
+      expect(cy.$id('c').position().y - cy.$id('a').position().y).toBeCloseTo(offset.y);
+    });
+    
+    test('edge from a hidden child is projected', () => {
+      cy.add({ data: { id: 'e2', source: 'b', target: 'y' } });
+      
+      expect(api.isHidden(cy.$id('e2'))).toBe(true);
+      const proj = projectionTo(api, group, 'y');
+      expect(proj).toBeDefined();
+      expect(proj.data('originalIds')).toEqual(['e2']);
+    });
+    
+    test('edge to an existing projection target joins the projection', () => {
+      cy.add({ data: { id: 'e2', source: 'b', target: 'x' } });
+      
+      expect(api.getProjectedEdges(group).length).toBe(1);
+      expect(projectionTo(api, group, 'x').data('count')).toBe(2);
+    });
+  });
+  
+  describe('remove', () => {
+    test('removing the last original removes the projection', () => {
+      cy.$id('e1').remove();
+      
+      expect(api.getProjectedEdges(group).length).toBe(0);
+      expect(cy.edges('.cy-compound-projection').length).toBe(0);
+    });
+    
+    test('removing a hidden child updates state', () => {
+      cy.$id('a').remove();
+      
+      expect(api.getProjectedEdges(group).length).toBe(0);
+      expect(group.data('descendantCount')).toBe(1);
+      expect(api.getState().savedPositions.group.a).toBeUndefined();
+      
+      api.expand(group);
+      expect(api.isHidden(cy.$id('b'))).toBe(false);
+    });
+    
+    test('removing a collapsed node drops its state', () => {
+      cy.$id('group').remove();
+      
+      expect(api.collapsedNodes().length).toBe(0);
+      expect(api.getState().collapsedIds).toEqual([]);
+      expect(api.getState().projections).toEqual([]);
+    });
+    
+    test('removing the external endpoint of a projection drops it', () => {
+      cy.add({ data: { id: 'e2', source: 'b', target: 'x' } });
+      
+      expect(() => cy.$id('x').remove()).not.toThrow();
+      
+      expect(api.getProjectedEdges(group).length).toBe(0);
+      expect(api.getState().projections).toEqual([]);
+      api.expand(group);
+      expect(api.isHidden(cy.$id('a'))).toBe(false);
+    });
+    
+    test('removing a collapsed node with a shared projection drops it', () => {
+      cy.add({ data: { id: 'e2', source: 'b', target: 'x' } });
+      
+      expect(() => cy.$id('group').remove()).not.toThrow();
+      
+      expect(cy.edges('.cy-compound-projection').length).toBe(0);
+      expect(api.getState().projections).toEqual([]);
+    });
+  });
+  
+  describe('move', () => {
+    test('node moved into a collapsed compound is hidden and projected', () => {
+      cy.add({ data: { id: 'e3', source: 'y', target: 'x' } });
+      cy.$id('y').move({ parent: 'group' });
+      
+      expect(api.isHidden(cy.$id('y'))).toBe(true);
+      expect(api.isHidden(cy.$id('e3'))).toBe(true);
+      expect(projectionTo(api, group, 'x').data('count')).toBe(2);
+    });
+    
+    test('node moved out of a collapsed compound is shown', () => {
+      cy.$id('a').move({ parent: null });
+      
+      expect(api.isHidden(cy.$id('a'))).toBe(false);
+      expect(api.isHidden(cy.$id('e1'))).toBe(false);
+      expect(api.getProjectedEdges(group).length).toBe(0);
+      expect(group.data('descendantCount')).toBe(1);
+      
+      api.expand(group);
+      expect(api.isHidden(cy.$id('b'))).toBe(false);
+    });
+    
+    test('a moved collapsed compound keeps its contents', () => {
+      cy.add({ data: { id: 'outer' }, position: { x: 500, y: 500 } });
+      group.move({ parent: 'outer' });
+      
+      expect(api.isHidden(cy.$id('a'))).toBe(true);
+      api.expand(group);
+      
+      expect(api.isHidden(cy.$id('a'))).toBe(false);
+      expect(api.isHidden(cy.$id('e1'))).toBe(false);
+      expect(cy.edges('.cy-compound-projection').length).toBe(0);
+    });
+    
+    test('moving the ancestor of a collapsed compound keeps its contents', () => {
+      cy.add([{ data: { id: 'holder' } }, { data: { id: 'outer' }, position: { x: 500, y: 500 } }]);
+      group.move({ parent: 'holder' });
+      cy.$id('holder').move({ parent: 'outer' });
+      
+      api.expandAll();
+      
+      expect(api.isHidden(cy.$id('a'))).toBe(false);
+      expect(api.isHidden(cy.$id('b'))).toBe(false);
+      expect(api.isHidden(cy.$id('e1'))).toBe(false);
+    });
+    
+    test('edge reconnected to a visible node is no longer projected', () => {
+      cy.$id('e1').move({ source: 'y' });
+      
+      expect(api.isHidden(cy.$id('e1'))).toBe(false);
+      expect(api.getProjectedEdges(group).length).toBe(0);
+    });
+  });
+  
+  describe('listeners', () => {
+    const listenerCount = () => cy.emitter().listeners.length;
+    
+    test('creating the manager again replaces its listeners', () => {
+      const count = listenerCount();
+      
+      api = cy.compoundManager({ animate: false });
+      
+      expect(listenerCount()).toBe(count);
+      cy.add({ data: { id: 'c', parent: 'group' }, position: { x: 40, y: 40 } });
+      expect(api.isHidden(cy.$id('c'))).toBe(true);
+    });
+    
+    test('destroy stops tracking graph changes', () => {
+      const count = listenerCount();
+      
+      api.destroy();
+      cy.add({ data: { id: 'c', parent: 'group' }, position: { x: 40, y: 40 } });
+      
+      expect(listenerCount()).toBe(count - 6);
+      expect(api.isHidden(cy.$id('c'))).toBe(false);
+    });
+    
+    test('destroy drops a scheduled layout', async () => {
+      api = cy.compoundManager({ animate: false, autoLayout: true, layoutDebounce: 10 });
+      const started = [];
+      cy.on('compoundmanager.layoutstart', () => started.push(true));
+      api.expand(group);
+      
+      api.destroy();
+      await api.whenIdle();
+      await new Promise(resolve => setTimeout(resolve, 30));
+      
+      expect(started).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,283 @@
+/**
+ * Navigation Tests
+ * 
+ * Revealing hidden elements and resolving their visible representatives.
+ */
+
+import cytoscape from 'cytoscape';
+import register from '../src/index.js';
+
+register(cytoscape);
+
+/**
+ * Structure:
+ *   region
+ *   ├── dc1
+ *   │   ├── host1 ──→ host2
+ *   │   └── host2
+ *   └── dc2
+ *       └── host3 ──→ host1
+ *   other
+ *   └── host4
+ */
+function createGraph() {
+  return cytoscape({
+    headless: true,
+    elements: [
+      { data: { id: 'region' } },
+      { data: { id: 'dc1', parent: 'region' } },
+      { data: { id: 'dc2', parent: 'region' } },
+      { data: { id: 'host1', parent: 'dc1' } },
+      { data: { id: 'host2', parent: 'dc1' } },
+      { data: { id: 'host3', parent: 'dc2' } },
+      { data: { id: 'other' } },
+      { data: { id: 'host4', parent: 'other' } },
+      { data: { id: 'internal', source: 'host1', target: 'host2' } },
+      { data: { id: 'cross', source: 'host3', target: 'host1' } },
+    ]
+  });
+}
+
+describe('Navigation', () => {
+  let cy, api;
+  
+  beforeEach(() => {
+    cy = createGraph();
+    api = cy.compoundManager({ animate: false });
+    api.collapseAll();
+  });
+  
+  describe('visibleRepresentative', () => {
+    test('hidden node resolves to its outermost collapsed ancestor', () => {
+      expect(api.visibleRepresentative(cy.$id('host1')).id()).toBe('region');
+      
+      api.expand(cy.$id('region'));
+      expect(api.visibleRepresentative(cy.$id('host1')).id()).toBe('dc1');
+    });
+    
+    test('visible element represents itself', () => {
+      expect(api.visibleRepresentative(cy.$id('region')).id()).toBe('region');
+    });
+    
+    test('hidden edge resolves to its projection or collapsed node', () => {
+      api.expand(cy.$id('region'));
+      
+      const proj = api.visibleRepresentative(cy.$id('cross'));
+      expect(proj.hasClass('cy-compound-projection')).toBe(true);
+      expect(proj.source().id()).toBe('dc2');
+      expect(proj.target().id()).toBe('dc1');
+      
+      expect(api.visibleRepresentative(cy.$id('internal')).id()).toBe('dc1');
+    });
+  });
+  
+  describe('reveal', () => {
+    test('expands the chain of collapsed ancestors', () => {
+      api.reveal(cy.$id('host1'));
+      
+      expect(api.isHidden(cy.$id('host1'))).toBe(false);
+      expect(api.isCollapsed(cy.$id('region'))).toBe(false);
+      expect(api.isCollapsed(cy.$id('dc1'))).toBe(false);
+      
+      // Only the minimal chain is expanded
+      expect(api.isCollapsed(cy.$id('dc2'))).toBe(true);
+      expect(api.isCollapsed(cy.$id('other'))).toBe(true);
+    });
+    
+    test('reveals both endpoints of an edge', () => {
+      api.reveal(cy.$id('cross'));
+      
+      expect(api.isHidden(cy.$id('cross'))).toBe(false);
+      expect(api.isCollapsed(cy.$id('dc1'))).toBe(false);
+      expect(api.isCollapsed(cy.$id('dc2'))).toBe(false);
+    });
+    
+    test('collapseSiblings keeps the rest of the view compact', () => {
+      api.expandAll();
+      
+      api.reveal(cy.$id('host1'), { collapseSiblings: true });
+      
+      expect(api.isHidden(cy.$id('host1'))).toBe(false);
+      expect(api.isCollapsed(cy.$id('dc2'))).toBe(true);
+      expect(api.isCollapsed(cy.$id('other'))).toBe(true);
+      expect(api.isCollapsed(cy.$id('dc1'))).toBe(false);
+    });
+    
+    test('reveal is a single undo step', () => {
+      api.reveal(cy.$id('host1'));
+      api.undo();
+      
+      expect(api.isCollapsed(cy.$id('region'))).toBe(true);
+      expect(api.isCollapsed(cy.$id('dc1'))).toBe(true);
+    });
+  });
+});
+
+describe('Hierarchy Depth', () => {
+  let cy, api;
+  
+  beforeEach(() => {
+    cy = createGraph();
+    api = cy.compoundManager({ animate: false });
+  });
+  
+  test('collapseToDepth keeps the top levels visible', () => {
+    api.collapseToDepth(1);
+    
+    expect(api.isCollapsed(cy.$id('region'))).toBe(false);
+    expect(api.isCollapsed(cy.$id('other'))).toBe(false);
+    expect(api.isCollapsed(cy.$id('dc1'))).toBe(true);
+    expect(api.isCollapsed(cy.$id('dc2'))).toBe(true);
+    expect(api.isHidden(cy.$id('dc1'))).toBe(false);
+    expect(api.isHidden(cy.$id('host1'))).toBe(true);
+    expect(api.isHidden(cy.$id('host4'))).toBe(false);
+  });
+  
+  test('collapseToDepth(0) collapses every compound', () => {
+    api.collapseToDepth(0);
+    
+    expect(api.collapsedNodes().map(n => n.id()).sort()).toEqual(['dc1', 'dc2', 'other', 'region']);
+    
+    // Nested state stacked: expanding region shows collapsed dcs
+    api.expand(cy.$id('region'));
+    expect(api.isCollapsed(cy.$id('dc1'))).toBe(true);
+    expect(api.isHidden(cy.$id('dc1'))).toBe(false);
+  });
+  
+  test('expandToDepth opens levels above the depth only', () => {
+    api.collapseAll();
+    api.expandToDepth(1);
+    
+    expect(api.isCollapsed(cy.$id('region'))).toBe(false);
+    expect(api.isCollapsed(cy.$id('other'))).toBe(false);
+    expect(api.isCollapsed(cy.$id('dc1'))).toBe(true);
+    expect(api.isHidden(cy.$id('host1'))).toBe(true);
+    
+    api.expandToDepth(2);
+    expect(api.collapsedNodes().length).toBe(0);
+  });
+  
+  test('collapseWhere collapses matching compounds', () => {
+    api.collapseWhere(n => n.id().startsWith('dc'));
+    
+    expect(api.collapsedNodes().map(n => n.id()).sort()).toEqual(['dc1', 'dc2']);
+  });
+  
+  test('depth operations are one undo step', () => {
+    api.collapseToDepth(0);
+    api.undo();
+    
+    expect(api.collapsedNodes().length).toBe(0);
+    expect(api.canUndo()).toBe(false);
+  });
+  
+  test('depth operations run one layout pass', async () => {
+    const autoCy = createGraph();
+    const autoApi = autoCy.compoundManager({ animate: false, autoLayout: true, layoutDebounce: 10 });
+    let layouts = 0;
+    autoCy.on('layoutstart', () => layouts++);
+    
+    autoApi.collapseWhere(() => true);
+    
+    // Four collapses, one debounced full layout
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(layouts).toBe(1);
+  });
+});
+
+describe('Focus (drill-down)', () => {
+  let cy, api;
+  
+  beforeEach(() => {
+    cy = createGraph();
+    cy.add({ data: { id: 'link', source: 'host1', target: 'host4', weight: 3 } });
+    api = cy.compoundManager({ animate: false, edgeAggregators: { weight: 'sum' } });
+  });
+  
+  const visibleIds = () => cy.elements()
+    .filter(e => !api.isHidden(e) && !e.data('_isStub'))
+    .map(e => e.id())
+    .sort();
+  
+  test('enter shows only the contents of a compound', () => {
+    api.enter(cy.$id('dc1'));
+    
+    expect(api.isHidden(cy.$id('host1'))).toBe(false);
+    expect(api.isHidden(cy.$id('host2'))).toBe(false);
+    expect(api.isHidden(cy.$id('internal'))).toBe(false);
+    
+    expect(api.isHidden(cy.$id('dc2'))).toBe(true);
+    expect(api.isHidden(cy.$id('host3'))).toBe(true);
+    expect(api.isHidden(cy.$id('other'))).toBe(true);
+    expect(api.isHidden(cy.$id('cross'))).toBe(true);
+    expect(api.isHidden(cy.$id('link'))).toBe(true);
+    
+    // Ancestors stay in the graph but are not drawn
+    expect(cy.$id('region').hasClass('cy-compound-focus-ancestor')).toBe(true);
+  });
+  
+  test('edges leaving the compound become aggregated boundary stubs', () => {
+    api.collapse(cy.$id('other'));
+    api.enter(cy.$id('dc1'));
+    
+    const stubs = cy.nodes('.cy-compound-stub');
+    expect(stubs.map(n => n.data('stubOf')).sort()).toEqual(['host3', 'other']);
+    
+    const stubEdges = cy.edges('.cy-compound-stub');
+    const toOther = stubEdges.filter(e => e.target().data('stubOf') === 'other');
+    expect(toOther.length).toBe(1);
+    expect(toOther[0].source().id()).toBe('host1');
+    expect(toOther[0].data('originalIds')).toEqual(['link']);
+    expect(toOther[0].data('weight')).toBe(3);
+  });
+  
+  test('stubs follow collapse inside the focus', () => {
+    api.enter(cy.$id('region'));
+    api.collapse(cy.$id('dc1'));
+    
+    const stubEdges = cy.edges('.cy-compound-stub');
+    expect(stubEdges.length).toBe(1);
+    expect(stubEdges[0].source().id()).toBe('dc1');
+    expect(api.isHidden(cy.$id('link'))).toBe(true);
+  });
+  
+  test('focusPath tracks nested enter as breadcrumbs', () => {
+    expect(api.focusPath()).toEqual([]);
+    
+    api.enter(cy.$id('region'));
+    api.enter(cy.$id('dc1'));
+    expect(api.focusPath().map(n => n.id())).toEqual(['region', 'dc1']);
+    
+    // Entering something outside the current focus is ignored
+    api.enter(cy.$id('other'));
+    expect(api.focusPath().map(n => n.id())).toEqual(['region', 'dc1']);
+    
+    api.exit();
+    expect(api.focusPath().map(n => n.id())).toEqual(['region']);
+    expect(api.isHidden(cy.$id('dc2'))).toBe(false);
+    expect(api.isHidden(cy.$id('other'))).toBe(true);
+  });
+  
+  test('exit restores visibility, collapse state and viewport', () => {
+    api.collapse(cy.$id('dc1'));
+    api.collapse(cy.$id('other'));
+    const before = visibleIds();
+    cy.viewport({ zoom: 2, pan: { x: 10, y: 20 } });
+    
+    api.enter(cy.$id('dc1'));
+    expect(api.isCollapsed(cy.$id('dc1'))).toBe(false);
+    api.collapse(cy.$id('dc1'));
+    api.expand(cy.$id('dc1'));
+    cy.viewport({ zoom: 0.5, pan: { x: 0, y: 0 } });
+    
+    api.exit();
+    
+    expect(api.focusPath()).toEqual([]);
+    expect(api.isCollapsed(cy.$id('dc1'))).toBe(true);
+    expect(visibleIds()).toEqual(before);
+    expect(cy.nodes('.cy-compound-stub').length).toBe(0);
+    expect(cy.$id('region').hasClass('cy-compound-focus-ancestor')).toBe(false);
+    expect(cy.zoom()).toBe(2);
+    expect(cy.pan()).toEqual({ x: 10, y: 20 });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Spatial Index Tests
+ * 
+ * Grid index behind overlap detection and resolution, region-restricted
+ * resolution and the number of comparisons on a few thousand nodes.
+ */
+
+import cytoscape from 'cytoscape';
+import register from '../src/index.js';
+import { createGridIndex, gridCellSize } from '../src/spatial.js';
+
+register(cytoscape);
+
+const box = (x, y, size = 10) => ({ x1: x, y1: y, x2: x + size, y2: y + size });
+
+/**
+ * Nodes on a grid 10 apart; every seventh is shifted onto its right neighbor.
+ * Headless nodes are 3 x 3, so only the shifted ones overlap.
+ */
+function createLargeGraph(count) {
+  const cols = Math.ceil(Math.sqrt(count));
+  const elements = [];
+  for (let i = 0; i < count; i++) {
+    elements.push({
+      data: { id: `n${i}` },
+      position: { x: (i % cols) * 10 + (i % 7 === 0 ? 8 : 0), y: Math.floor(i / cols) * 10 }
+    });
+  }
+  return cytoscape({ headless: true, layout: { name: 'preset' }, elements });
+}
+
+describe('Spatial Index', () => {
+  describe('Grid index', () => {
+    test('query returns entries sharing a cell with the box', () => {
+      const index = createGridIndex(20);
+      index.insert('a', box(0, 0));
+      index.insert('b', box(100, 100));
+      
+      expect(Array.from(index.query(box(5, 5)))).toEqual(['a']);
+      expect(index.query(box(200, 200)).size).toBe(0);
+    });
+    
+    test('boxes spanning several cells are found from each of them', () => {
+      const index = createGridIndex(10);
+      index.insert('wide', { x1: 0, y1: 0, x2: 55, y2: 5 });
+      
+      expect(index.query(box(50, 0, 2)).has('wide')).toBe(true);
+      expect(index.size).toBe(1);
+    });
+    
+    test('update moves an entry and remove drops it', () => {
+      const index = createGridIndex(20);
+      index.insert('a', box(0, 0));
+      
+      index.update('a', box(100, 100));
+      expect(index.query(box(0, 0)).has('a')).toBe(false);
+      expect(index.query(box(100, 100)).has('a')).toBe(true);
+      
+      index.remove('a');
+      expect(index.size).toBe(0);
+    });
+    
+    test('cell size follows the typical box size', () => {
+      expect(gridCellSize([box(0, 0, 10), box(0, 0, 30)])).toBe(40);
+      expect(gridCellSize([])).toBe(1);
+    });
+  });
+  
+  describe('Region-restricted resolution', () => {
+    let cy, api;
+    
+    beforeEach(() => {
+      cy = cytoscape({
+        headless: true,
+        layout: { name: 'preset' },
+        elements: [
+          { data: { id: 'a1' }, position: { x: 0, y: 0 } },
+          { data: { id: 'a2' }, position: { x: 1, y: 0 } },
+          { data: { id: 'b1' }, position: { x: 500, y: 0 } },
+          { data: { id: 'b2' }, position: { x: 501, y: 0 } }
+        ]
+      });
+      api = cy.compoundManager({ animate: false });
+    });
+    
+    test('hasOverlaps can be limited to a region', () => {
+      cy.$id('b2').position({ x: 600, y: 0 });
+      
+      expect(api.hasOverlaps(cy.$id('a1'))).toBe(true);
+      expect(api.hasOverlaps(cy.$id('b1'))).toBe(false);
+    });
+    
+    test('only overlaps reachable from the region are resolved', () => {
+      expect(api.resolveOverlaps(cy.$id('a1'))).toBe(true);
+      
+      expect(api.hasOverlaps(cy.$id('a1'))).toBe(false);
+      expect(cy.$id('b1').position()).toEqual({ x: 500, y: 0 });
+      expect(api.hasOverlaps(cy.$id('b1'))).toBe(true);
+    });
+    
+    test('a compound region includes its descendants', () => {
+      cy.add([
+        { data: { id: 'group' } },
+        { data: { id: 'g1', parent: 'group' }, position: { x: 1000, y: 0 } },
+        { data: { id: 'g2', parent: 'group' }, position: { x: 1001, y: 0 } }
+      ]);
+      
+      api.resolveOverlaps(cy.$id('group'));
+      
+      expect(api.hasOverlaps(cy.$id('group'))).toBe(false);
+      expect(api.hasOverlaps()).toBe(true);
+    });
+  });
+  
+  describe('Large graphs', () => {
+    /**
+     * Resolve a large graph, returning the overlapsresolved data
+     */
+    function resolveLarge(count) {
+      const cy = createLargeGraph(count);
+      const api = cy.compoundManager({ animate: false });
+      let result;
+      cy.on('compoundmanager.overlapsresolved', (evt, data) => { result = data; });
+      
+      expect(api.hasOverlaps()).toBe(true);
+      api.resolveOverlaps();
+      expect(api.hasOverlaps()).toBe(false);
+      return result;
+    }
+    
+    test('resolves overlaps among 3000 nodes with a few comparisons per node', () => {
+      const count = 3000;
+      const { resolved, comparisons } = resolveLarge(count);
+      
+      // All-pairs checking would need count * (count - 1) / 2 = 4.5 million per pass
+      expect(resolved).toBe(true);
+      expect(comparisons).toBeLessThan(count * 10);
+    });
+    
+    test('comparisons grow linearly with the node count', () => {
+      const small = resolveLarge(750).comparisons;
+      const large = resolveLarge(3000).comparisons;
+      
+      // 4x the nodes: about 4x the comparisons, where all pairs would need 16x
+      expect(large / small).toBeLessThan(6);
+    });
+  });
+});
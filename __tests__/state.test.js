@@ -0,0 +1,140 @@
+/**
+ * State Serialization Tests
+ * 
+ * getState() / setState() snapshot and re-apply the collapse state.
+ */
+
+import cytoscape from 'cytoscape';
+import register from '../src/index.js';
+
+register(cytoscape);
+
+/**
+ * Structure:
+ *   outer
+ *   └── inner
+ *       ├── a ──→ x
+ *       └── b
+ *   other
+ *   └── c ──→ a
+ *   x
+ */
+function createElements() {
+  return [
+    { data: { id: 'outer' } },
+    { data: { id: 'inner', parent: 'outer' } },
+    { data: { id: 'a', parent: 'inner' }, position: { x: 0, y: 0 } },
+    { data: { id: 'b', parent: 'inner' }, position: { x: 40, y: 20 } },
+    { data: { id: 'other' } },
+    { data: { id: 'c', parent: 'other' }, position: { x: 200, y: 0 } },
+    { data: { id: 'x' }, position: { x: 100, y: 200 } },
+    { data: { id: 'e1', source: 'a', target: 'x' } },
+    { data: { id: 'e2', source: 'c', target: 'a' } },
+  ];
+}
+
+function createGraph(elements = createElements()) {
+  return cytoscape({ headless: true, elements, layout: { name: 'preset' } });
+}
+
+describe('State Serialization', () => {
+  
+  test('getState returns a JSON-serializable snapshot', () => {
+    const cy = createGraph();
+    const api = cy.compoundManager({ animate: false });
+    
+    api.collapse(cy.$id('inner'));
+    api.collapse(cy.$id('other'));
+    
+    const snapshot = api.getState();
+    const roundTripped = JSON.parse(JSON.stringify(snapshot));
+    
+    expect(roundTripped).toEqual(snapshot);
+    expect(snapshot.collapsedIds.sort()).toEqual(['inner', 'other']);
+    expect(snapshot.savedPositions.inner.a).toEqual(expect.objectContaining({ lx: expect.any(Number) }));
+    expect(snapshot.projections.length).toBeGreaterThan(0);
+  });
+  
+  test('setState re-applies collapse state to a fresh graph', () => {
+    const cy1 = createGraph();
+    const api1 = cy1.compoundManager({ animate: false });
+    api1.collapse(cy1.$id('inner'));
+    api1.collapse(cy1.$id('outer'));
+    const snapshot = JSON.parse(JSON.stringify(api1.getState()));
+    
+    const cy2 = createGraph();
+    const api2 = cy2.compoundManager({ animate: false });
+    api2.setState(snapshot);
+    
+    expect(api2.isCollapsed(cy2.$id('outer'))).toBe(true);
+    expect(api2.isCollapsed(cy2.$id('inner'))).toBe(true);
+    expect(api2.isHidden(cy2.$id('inner'))).toBe(true);
+    
+    // Nested state survives: expanding outer leaves inner collapsed
+    api2.expand(cy2.$id('outer'));
+    expect(api2.isHidden(cy2.$id('inner'))).toBe(false);
+    expect(api2.isHidden(cy2.$id('a'))).toBe(true);
+  });
+  
+  test('setState restores saved child positions', () => {
+    const cy1 = createGraph();
+    const api1 = cy1.compoundManager({ animate: false });
+    api1.collapse(cy1.$id('inner'));
+    const snapshot = api1.getState();
+    
+    // Fresh graph where the children were laid out differently
+    const elements = createElements();
+    elements.find(e => e.data.id === 'a').position = { x: 500, y: 500 };
+    const cy2 = createGraph(elements);
+    const api2 = cy2.compoundManager({ animate: false });
+    
+    api2.setState(snapshot);
+    api2.expand(cy2.$id('inner'));
+    
+    const a = cy2.$id('a').position();
+    const b = cy2.$id('b').position();
+    expect(b.x - a.x).toBeCloseTo(40);
+    expect(b.y - a.y).toBeCloseTo(20);
+  });
+  
+  test('setState expands nodes not collapsed in the snapshot', () => {
+    const cy = createGraph();
+    const api = cy.compoundManager({ animate: false });
+    const snapshot = api.getState();
+    
+    api.collapseAll();
+    api.setState(snapshot);
+    
+    expect(api.collapsedNodes().length).toBe(0);
+    expect(cy.elements().filter(e => api.isHidden(e)).length).toBe(0);
+  });
+  
+  test('setState tolerates added and removed elements', () => {
+    const cy1 = createGraph();
+    const api1 = cy1.compoundManager({ animate: false });
+    api1.collapse(cy1.$id('inner'));
+    api1.collapse(cy1.$id('other'));
+    const snapshot = api1.getState();
+    
+    // 'other' and 'b' are gone, 'd' is new
+    const elements = createElements()
+      .filter(e => !['other', 'c', 'e2', 'b'].includes(e.data.id))
+      .concat([{ data: { id: 'd', parent: 'inner' }, position: { x: 10, y: 10 } }]);
+    const cy2 = createGraph(elements);
+    const api2 = cy2.compoundManager({ animate: false });
+    
+    expect(() => api2.setState(snapshot)).not.toThrow();
+    expect(api2.collapsedNodes().map(n => n.id())).toEqual(['inner']);
+    expect(api2.isHidden(cy2.$id('d'))).toBe(true);
+    
+    api2.expand(cy2.$id('inner'));
+    expect(api2.isHidden(cy2.$id('d'))).toBe(false);
+  });
+  
+  test('setState rejects unknown snapshot versions', () => {
+    const cy = createGraph();
+    const api = cy.compoundManager();
+    
+    expect(() => api.setState({ version: 99 })).toThrow('Unsupported');
+  });
+});
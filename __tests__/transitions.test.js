@@ -0,0 +1,160 @@
+/**
+ * Transition Tests
+ * 
+ * Animated collapse/expand. Animations only run with styles enabled,
+ * so these instances are destroyed after each test to stop the animation loop.
+ */
+
+import cytoscape from 'cytoscape';
+import register from '../src/index.js';
+
+register(cytoscape);
+
+/**
+ * Structure:
+ *   parent
+ *   ├── child1 ──→ external
+ *   └── child2
+ *   external
+ */
+function createGraph() {
+  return cytoscape({
+    headless: true,
+    styleEnabled: true,
+    layout: { name: 'preset' },
+    elements: [
+      { data: { id: 'parent' } },
+      { data: { id: 'child1', parent: 'parent' }, position: { x: 0, y: 0 } },
+      { data: { id: 'child2', parent: 'parent' }, position: { x: 100, y: 0 } },
+      { data: { id: 'external' }, position: { x: 400, y: 0 } },
+      { data: { id: 'e1', source: 'child1', target: 'external' } },
+      { data: { id: 'internal', source: 'child1', target: 'child2' } }
+    ]
+  });
+}
+
+describe('Transitions', () => {
+  let cy, api;
+  
+  beforeEach(() => {
+    cy = createGraph();
+    api = cy.compoundManager({ animate: true, animationDuration: 40 });
+  });
+  
+  afterEach(() => {
+    cy.destroy();
+  });
+  
+  describe('Collapse', () => {
+    test('state changes at once while children fade out', () => {
+      api.collapse(cy.$id('parent'));
+      
+      expect(api.isCollapsed(cy.$id('parent'))).toBe(true);
+      expect(api.isHidden(cy.$id('child1'))).toBe(true);
+      expect(cy.$id('child1').style('display')).toBe('element');
+      expect(cy.$id('child1').animated()).toBe(true);
+    });
+    
+    test('children converge into the parent center and are hidden', async () => {
+      const center = { ...cy.$id('parent').position() };
+      
+      await api.collapse(cy.$id('parent')).whenIdle();
+      
+      ['child1', 'child2'].forEach(id => {
+        expect(cy.$id(id).style('display')).toBe('none');
+        expect(cy.$id(id).position().x).toBeCloseTo(center.x);
+      });
+      expect(cy.$id('e1').style('display')).toBe('none');
+    });
+    
+    test('projection fades in', async () => {
+      api.collapse(cy.$id('parent'));
+      const [proj] = api.getProjectedEdges(cy.$id('parent'));
+      
+      expect(proj.animated()).toBe(true);
+      await api.whenIdle();
+      expect(Number(proj.style('opacity'))).toBe(1);
+    });
+  });
+  
+  describe('Expand', () => {
+    test('children grow out of the center to their saved positions', async () => {
+      await api.collapse(cy.$id('parent')).whenIdle();
+      
+      api.expand(cy.$id('parent'));
+      expect(cy.$id('child1').position()).toEqual(cy.$id('child2').position());
+      await api.whenIdle();
+      
+      expect(cy.$id('child2').position().x - cy.$id('child1').position().x).toBeCloseTo(100);
+      expect(cy.$id('child1').style('display')).toBe('element');
+      expect(Number(cy.$id('child1').style('opacity'))).toBe(1);
+    });
+    
+    test('leaves of nested compounds return to their saved positions', async () => {
+      cy.destroy();
+      cy = cytoscape({
+        headless: true,
+        styleEnabled: true,
+        layout: { name: 'preset' },
+        elements: [
+          { data: { id: 'outer' } },
+          { data: { id: 'inner', parent: 'outer' } },
+          { data: { id: 'i1', parent: 'inner' }, position: { x: 0, y: 0 } },
+          { data: { id: 'i2', parent: 'inner' }, position: { x: 100, y: 0 } }
+        ]
+      });
+      api = cy.compoundManager({ animate: true, animationDuration: 40 });
+      
+      await api.collapse(cy.$id('outer')).whenIdle();
+      await api.expand(cy.$id('outer')).whenIdle();
+      
+      expect(cy.$id('i2').position().x - cy.$id('i1').position().x).toBeCloseTo(100);
+      expect(cy.$id('i1').position().y).toBeCloseTo(cy.$id('i2').position().y);
+    });
+    
+    test('projection fades out before it is removed', async () => {
+      await api.collapse(cy.$id('parent')).whenIdle();
+      const [proj] = api.getProjectedEdges(cy.$id('parent'));
+      
+      api.expand(cy.$id('parent'));
+      expect(proj.removed()).toBe(false);
+      expect(api.getProjectedEdges(cy.$id('parent'))).toEqual([]);
+      
+      await api.whenIdle();
+      expect(proj.removed()).toBe(true);
+      expect(cy.edges('.cy-compound-projection').empty()).toBe(true);
+    });
+  });
+  
+  describe('Interruption', () => {
+    test('expanding mid-collapse settles the collapse first', async () => {
+      api.collapse(cy.$id('parent'));
+      api.expand(cy.$id('parent'));
+      await api.whenIdle();
+      
+      expect(api.isCollapsed(cy.$id('parent'))).toBe(false);
+      expect(cy.$id('child1').style('display')).toBe('element');
+      expect(Number(cy.$id('child1').style('opacity'))).toBe(1);
+      expect(cy.$id('child2').position().x - cy.$id('child1').position().x).toBeCloseTo(100);
+      expect(cy.edges('.cy-compound-projection').empty()).toBe(true);
+    });
+    
+    test('undo jumps a running transition to its end', () => {
+      api.collapse(cy.$id('parent'));
+      api.undo();
+      
+      expect(cy.$id('child1').animated()).toBe(false);
+      expect(cy.$id('child1').style('display')).toBe('element');
+      expect(cy.$id('child2').position().x - cy.$id('child1').position().x).toBeCloseTo(100);
+    });
+  });
+  
+  test('animate: false switches display at once', () => {
+    const instantCy = createGraph();
+    instantCy.compoundManager({ animate: false }).collapse(instantCy.$id('parent'));
+    
+    expect(instantCy.$id('child1').style('display')).toBe('none');
+    expect(instantCy.$id('child1').animated()).toBe(false);
+    instantCy.destroy();
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Worker Layout Tests
+ * 
+ * Layouts computed in a worker_threads worker: positions applied back,
+ * progress events, cancellation and the main-thread fallback.
+ */
+
+import cytoscape from 'cytoscape';
+import register from '../src/index.js';
+
+register(cytoscape);
+
+/**
+ * Structure:
+ *   team                 hub ── n0 … n9 (chain)
+ *   ├── alice
+ *   └── bob
+ * All nodes start on one line, so any layout moves them.
+ */
+function createGraph() {
+  const elements = [
+    { data: { id: 'team' } },
+    { data: { id: 'alice', parent: 'team' }, position: { x: 0, y: 0 } },
+    { data: { id: 'bob', parent: 'team' }, position: { x: 10, y: 0 } },
+    { data: { id: 'hub' }, position: { x: 20, y: 0 } },
+    { data: { id: 'e-team', source: 'alice', target: 'hub' } }
+  ];
+  for (let i = 0; i < 10; i++) {
+    elements.push({ data: { id: `n${i}` }, position: { x: 30 + i, y: 0 } });
+    elements.push({ data: { id: `e${i}`, source: i ? `n${i - 1}` : 'hub', target: `n${i}` } });
+  }
+  return cytoscape({ headless: true, layout: { name: 'preset' }, elements });
+}
+
+describe('Worker Layouts', () => {
+  let cy;
+  
+  beforeEach(() => {
+    cy = createGraph();
+  });
+  
+  test('positions computed in the worker are applied', async () => {
+    const api = cy.compoundManager({ animate: false, worker: true });
+    const before = { ...cy.$id('n5').position() };
+    
+    await expect(api.runLayout('cose')).resolves.toBe(true);
+    
+    expect(cy.$id('n5').position()).not.toEqual(before);
+  });
+  
+  test('collapsed compounds are laid out as one node', async () => {
+    const api = cy.compoundManager({ animate: false, worker: true });
+    api.collapse(cy.$id('team'));
+    
+    await api.runLayout('cose');
+    
+    expect(cy.$id('bob').position().x - cy.$id('alice').position().x).toBeCloseTo(10);
+    expect(cy.$id('bob').position().y).toBeCloseTo(cy.$id('alice').position().y);
+  });
+  
+  test('progress is reported and ends at 1', async () => {
+    const api = cy.compoundManager({ animate: false, worker: { progressSteps: 4 } });
+    const progress = [];
+    cy.on('compoundmanager.layoutprogress', (evt, { progress: value }) => progress.push(value));
+    
+    await api.runLayout('cose');
+    
+    expect(progress.length).toBeGreaterThan(1);
+    expect(progress[progress.length - 1]).toBe(1);
+    expect(progress).toEqual([...progress].sort((a, b) => a - b));
+  });
+  
+  test('a superseded worker layout is dropped', async () => {
+    const api = cy.compoundManager({ animate: false, worker: true });
+    const stops = [];
+    cy.on('compoundmanager.layoutstop', (evt, { completed }) => stops.push(completed));
+    
+    const first = api.runLayout('cose');
+    const second = api.runLayout('grid');
+    
+    await expect(first).resolves.toBe(false);
+    await expect(second).resolves.toBe(true);
+    await api.whenIdle();
+    expect(stops).toEqual([false, true]);
+  });
+  
+  test('falls back to the main thread when the worker cannot start', async () => {
+    const api = cy.compoundManager({
+      animate: false,
+      worker: { create: () => { throw new Error('no workers here'); } }
+    });
+    const errors = [];
+    cy.on('compoundmanager.layoutworkererror', (evt, { error }) => errors.push(error.message));
+    
+    await expect(api.runLayout('grid')).resolves.toBe(true);
+    
+    expect(errors).toEqual(['no workers here']);
+  });
+  
+  test('a failing fallback resolves false and emits layouterror', async () => {
+    const api = cy.compoundManager({
+      animate: false,
+      worker: { create: () => { throw new Error('no workers here'); } },
+      layoutOptions: { grid: { name: 'no-such-layout' } }
+    });
+    const errors = [];
+    cy.on('compoundmanager.layouterror', (evt, { error }) => errors.push(error.message));
+    
+    await expect(api.runLayout('grid')).resolves.toBe(false);
+    
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toContain('no-such-layout');
+  });
+});
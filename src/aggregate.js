@@ -0,0 +1,45 @@
+/**
+ * Data aggregation
+ * 
+ * Rolls up data of many elements into one value per field.
+ * Used for projection edges (edgeAggregators) and collapsed nodes (nodeAggregators).
+ */
+
+/**
+ * Built-in aggregators
+ * 
+ * Each receives the defined values of a field and the source elements.
+ */
+export const aggregators = {
+  sum: values => values.reduce((total, v) => total + Number(v), 0),
+  min: values => (values.length ? Math.min(...values.map(Number)) : undefined),
+  max: values => (values.length ? Math.max(...values.map(Number)) : undefined),
+  avg: values => (values.length ? values.reduce((total, v) => total + Number(v), 0) / values.length : undefined),
+  count: values => values.length,
+  first: values => values[0],
+  union: values => Array.from(new Set(values.flat()))
+};
+
+/**
+ * Aggregate data of elements field by field
+ * 
+ * @param {Collection} eles - Elements to aggregate
+ * @param {Object} spec - Map of data field → aggregator name or function(values, eles)
+ * @returns {Object} Map of data field → aggregated value
+ */
+export function aggregateData(eles, spec) {
+  const result = {};
+  if (!spec) return result;
+
+  Object.keys(spec).forEach(field => {
+    const aggregator = typeof spec[field] === 'function' ? spec[field] : aggregators[spec[field]];
+    if (!aggregator) {
+      throw new Error(`Unknown aggregator "${spec[field]}" for field "${field}"`);
+    }
+
+    const values = eles.map(ele => ele.data(field)).filter(v => v !== undefined && v !== null);
+    result[field] = aggregator(values, eles);
+  });
+
+  return result;
+}
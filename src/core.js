@@ -4,6 +4,13 @@
  * KISS: All logic in one file. Extract only if > 400 lines.
  */
 
+import { aggregateData } from './aggregate.js';
+import { createHistory } from './history.js';
+import { defaultStylesheet } from './style.js';
+import { createLayout, isLayoutAvailable } from './layouts.js';
+import { createGridIndex, gridCellSize } from './spatial.js';
+import { exportView } from './export.js';
+
 // ============================================
 // UTILITIES
 // ============================================
@@ -12,17 +19,59 @@
  * Simple debounce function
  * @param {Function} fn - Function to debounce
  * @param {number} delay - Delay in ms
- * @returns {Function} Debounced function
+ * @returns {Function} Debounced function, with cancel() to drop a pending call
  */
 function debounce(fn, delay) {
   let timeoutId = null;
-  return function(...args) {
+  const debounced = function(...args) {
     if (timeoutId) clearTimeout(timeoutId);
     timeoutId = setTimeout(() => {
       fn.apply(this, args);
       timeoutId = null;
     }, delay);
   };
+  debounced.cancel = () => {
+    if (timeoutId) clearTimeout(timeoutId);
+    timeoutId = null;
+  };
+  return debounced;
+}
+
+/**
+ * Emit an event that handlers can veto
+ * 
+ * Handlers cancel with evt.preventDefault() or by returning false. The event
+ * object is created inside cy.emit, so a listener registered last reads its state.
+ * 
+ * @returns {boolean} False if a handler cancelled the event
+ */
+function emitCancelable(cy, name, params) {
+  let prevented = false;
+  const check = (evt) => {
+    prevented = evt.isDefaultPrevented();
+  };
+  
+  cy.on(name, check);
+  try {
+    cy.emit(name, [params]);
+  } finally {
+    cy.removeListener(name, check);
+  }
+  
+  return !prevented;
+}
+
+/**
+ * Sort nodes by depth in the compound hierarchy
+ * @param {Array} nodes - Nodes to sort (in place)
+ * @param {boolean} deepestFirst
+ * @returns {Array}
+ */
+function sortByDepth(nodes, deepestFirst) {
+  return nodes.sort((a, b) => {
+    const diff = a.ancestors().length - b.ancestors().length;
+    return deepestFirst ? -diff : diff;
+  });
 }
 
 // ============================================
@@ -39,7 +88,23 @@ function getState(cy) {
       hiddenElementsMap: new Map(),
       savedPositionsMap: new Map(),
       projectionEdgesMap: new Map(),
-      hiddenIds: new Set()
+      projectionCounter: 0,
+      preferredProjectionIds: null,
+      summaryBackupMap: new Map(),
+      rollupSuspended: false,
+      pinnedIds: new Set(),
+      focusStack: [],
+      loadingMap: new Map(),
+      pendingWork: new Set(),
+      activeLayout: null,
+      transition: null,
+      transitioningIds: new Set(),
+      fadingIds: new Set(),
+      hiddenIds: new Set(),
+      expandedBundles: new Set(),
+      layoutLocks: new Map(),
+      recordHistory: null,
+      listeners: []
     });
   }
   return instanceStates.get(cy);
@@ -53,8 +118,12 @@ function hideElement(cy, ele) {
   const state = getState(cy);
   ele.data('_hidden', true);
   state.hiddenIds.add(ele.id());
-  // Also set style for browser mode
-  ele.style('display', 'none');
+  // Also set style for browser mode (after fading out, during a transition)
+  if (state.transition) {
+    state.transition.hiding.push(ele);
+  } else {
+    ele.style('display', 'none');
+  }
 }
 
 function showElement(cy, ele) {
@@ -63,6 +132,11 @@ function showElement(cy, ele) {
   state.hiddenIds.delete(ele.id());
   // Also set style for browser mode
   ele.style('display', 'element');
+  if (state.transition) {
+    state.transition.showing.push(ele);
+    // Grow out of the parent center; restoreLocalPositions moves it into place
+    if (ele.isNode() && !ele.isParent()) ele.position(state.transition.center);
+  }
 }
 
 function isHiddenEle(cy, ele) {
@@ -78,8 +152,22 @@ function isHiddenEle(cy, ele) {
  * Collapse a compound node
  * 
  * Invariant: After collapse, entire subtree is hidden
+ * 
+ * Handlers of compoundmanager.beforecollapse can veto it, except while
+ * a saved state is restored (opts.cancelable === false).
  */
 function collapse(cy, node, opts) {
+  if (!node.isParent() || isCollapsedNode(cy, node)) return false;
+  if (opts.cancelable !== false && !emitCancelable(cy, 'compoundmanager.beforecollapse', { node })) {
+    return false;
+  }
+  
+  const collapsed = withTransition(cy, node, opts, () => withoutRollup(cy, () => collapseNode(cy, node, opts)));
+  if (collapsed) refreshFocusStubs(cy, opts);
+  return collapsed;
+}
+
+function collapseNode(cy, node, opts) {
   const state = getState(cy);
   const nodeId = node.id();
   
@@ -98,20 +186,18 @@ function collapse(cy, node, opts) {
     descendantIds.push(d.id());
   });
   
-  // Also hide edges connected to descendants
-  descendants.connectedEdges().forEach(edge => {
-    hideElement(cy, edge);
-  });
-  
   state.hiddenElementsMap.set(nodeId, descendantIds);
   
-  // Create projections (per spec 5.1.4)
-  createProjections(cy, node, descendants);
-  
   // Mark as collapsed
   state.collapsedIds.add(nodeId);
   node.addClass('cy-compound-collapsed');
   
+  // Re-project every edge touching the subtree (per spec 5.1.4)
+  updateProjections(cy, node.union(descendants).connectedEdges(), opts);
+  
+  // Summarize hidden contents on the collapsed node
+  writeSummary(cy, node, opts);
+  
   // Emit event
   cy.emit('compoundmanager.collapse', { node });
   
@@ -122,46 +208,54 @@ function collapse(cy, node, opts) {
  * Expand a collapsed node
  * 
  * Invariant: After expand, children return to approximately same positions
+ * 
+ * Handlers of compoundmanager.beforeexpand can veto it (see collapse).
  */
 function expand(cy, node, opts) {
+  if (!isCollapsedNode(cy, node)) return false;
+  if (opts.cancelable !== false && !emitCancelable(cy, 'compoundmanager.beforeexpand', { node })) {
+    return false;
+  }
+  
+  // Unloaded compounds expand once their children arrive
+  if (isUnloaded(node)) {
+    loadChildren(cy, node, opts);
+    return false;
+  }
+  
+  const expanded = withTransition(cy, node, opts, () => withoutRollup(cy, () => expandNode(cy, node, opts)));
+  if (expanded) refreshFocusStubs(cy, opts);
+  return expanded;
+}
+
+function expandNode(cy, node, opts) {
   const state = getState(cy);
   const nodeId = node.id();
   
   if (!state.collapsedIds.has(nodeId)) return false;
 
   const descendantIds = state.hiddenElementsMap.get(nodeId) || [];
+  state.collapsedIds.delete(nodeId);
   
-  // Show descendants (but not nested collapsed children)
+  // Show descendants (but not the contents of nested collapsed children, at any depth)
   descendantIds.forEach(id => {
     const ele = cy.$id(id);
-    if (ele.nonempty()) {
-      const parent = ele.parent();
-      // Only show if parent is this node or parent is not collapsed
-      if (parent.empty() || parent.id() === nodeId || !state.collapsedIds.has(parent.id())) {
-        showElement(cy, ele);
-        
-        // Also show edges if both endpoints are now visible
-        ele.connectedEdges().forEach(edge => {
-          const src = edge.source();
-          const tgt = edge.target();
-          if (!isHiddenEle(cy, src) && !isHiddenEle(cy, tgt) && !edge.data('_isProjection')) {
-            showElement(cy, edge);
-          }
-        });
-      }
+    if (ele.nonempty() && visibleRepresentative(cy, ele).same(ele)) {
+      showElement(cy, ele);
     }
   });
   
-  // Remove projections
-  removeProjections(cy, node);
+  // Re-project edges; originals come back once both endpoints are visible,
+  // suspended projections of nested collapsed children are restored
+  updateProjections(cy, node.union(node.descendants()).connectedEdges(), opts);
   
   // Restore positions (per spec 5.2.2)
   restoreLocalPositions(cy, node, opts);
   
   // Mark as expanded
-  state.collapsedIds.delete(nodeId);
   state.hiddenElementsMap.delete(nodeId);
   node.removeClass('cy-compound-collapsed');
+  clearSummary(cy, node);
   
   // Emit event
   cy.emit('compoundmanager.expand', { node });
@@ -169,6 +263,24 @@ function expand(cy, node, opts) {
   return true;
 }
 
+/**
+ * Collapse several nodes, innermost first so nested state stacks up
+ * @returns {number} Number of nodes collapsed
+ */
+function collapseNodes(cy, nodes, opts) {
+  const list = sortByDepth(nodes.toArray ? nodes.toArray() : Array.from(nodes), true);
+  return list.filter(n => collapse(cy, n, opts)).length;
+}
+
+/**
+ * Expand several nodes, outermost first
+ * @returns {number} Number of nodes expanded
+ */
+function expandNodes(cy, nodes, opts) {
+  const list = sortByDepth(nodes.toArray ? nodes.toArray() : Array.from(nodes), false);
+  return list.filter(n => expand(cy, n, opts)).length;
+}
+
 /**
  * Check if node is collapsed
  */
@@ -177,6 +289,325 @@ function isCollapsedNode(cy, node) {
   return state.collapsedIds.has(node.id());
 }
 
+/**
+ * Expand the collapsed ancestors hiding an element, outermost first
+ * 
+ * For edges both endpoints are revealed. With collapseSiblings, compound
+ * siblings along the revealed path are collapsed to keep the view compact.
+ * 
+ * @returns {Array} Nodes that were expanded
+ */
+function revealElement(cy, ele, opts, { collapseSiblings = false } = {}) {
+  const state = getState(cy);
+  const targets = ele.isEdge() ? ele.source().union(ele.target()) : ele;
+  const expanded = [];
+  
+  targets.forEach(target => {
+    const path = target.ancestors().toArray().reverse();
+    
+    path.forEach(ancestor => {
+      if (state.collapsedIds.has(ancestor.id()) && expand(cy, ancestor, opts)) {
+        expanded.push(ancestor);
+      }
+    });
+    
+    if (collapseSiblings) {
+      const onPath = targets.union(targets.ancestors());
+      path.concat(target).forEach(n => {
+        // siblings() is empty for top-level nodes; their siblings are the other orphans
+        const siblings = n.parent().empty() ? cy.nodes().orphans().not(n) : n.siblings();
+        siblings
+          .filter(sibling => sibling.isParent() && !onPath.has(sibling))
+          .forEach(sibling => collapse(cy, sibling, opts));
+      });
+    }
+  });
+  
+  return expanded;
+}
+
+// ============================================
+// COLLAPSED NODE SUMMARY
+// ============================================
+
+/**
+ * Run fn without reacting to the data writes it makes
+ */
+function withoutRollup(cy, fn) {
+  const state = getState(cy);
+  const previous = state.rollupSuspended;
+  state.rollupSuspended = true;
+  try {
+    return fn();
+  } finally {
+    state.rollupSuspended = previous;
+  }
+}
+
+/**
+ * Write a summary of hidden contents onto a collapsed node
+ * 
+ * - descendantCount / descendantCounts: total and per depth (index 0 = children)
+ * - leafCount: descendants that are not compounds
+ * - internalEdgeCount: original edges hidden inside the subtree
+ * - collapsedWidth / collapsedHeight (and collapsedShape): see collapsedGeometry
+ * - one field per opts.nodeAggregators entry, rolled up from the leaves
+ * 
+ * Values the node held before are kept and restored by clearSummary.
+ */
+function writeSummary(cy, node, opts = {}) {
+  const state = getState(cy);
+  const descendants = node.descendants();
+  const subtreeIds = new Set(descendants.map(d => d.id()));
+  subtreeIds.add(node.id());
+  
+  const depth = node.ancestors().length;
+  const descendantCounts = [];
+  descendants.forEach(d => {
+    const level = d.ancestors().length - depth - 1;
+    descendantCounts[level] = (descendantCounts[level] || 0) + 1;
+  });
+  
+  const leaves = descendants.filter(d => !d.isParent());
+  const internalEdges = descendants.connectedEdges().filter(edge => {
+    return !edge.data('_isProjection') &&
+      subtreeIds.has(edge.source().id()) && subtreeIds.has(edge.target().id());
+  });
+  
+  const summary = {
+    descendantCount: descendants.length,
+    descendantCounts,
+    leafCount: leaves.length,
+    internalEdgeCount: internalEdges.length,
+    ...collapsedGeometry(cy, node, descendants.length, opts),
+    ...aggregateData(leaves, opts.nodeAggregators)
+  };
+  
+  withoutRollup(cy, () => {
+    if (!state.summaryBackupMap.has(node.id())) {
+      const backup = {};
+      Object.keys(summary).forEach(field => {
+        backup[field] = node.data(field);
+      });
+      state.summaryBackupMap.set(node.id(), backup);
+    }
+    node.data(summary);
+  });
+}
+
+/**
+ * Restore the data a node held before its summary was written
+ */
+function clearSummary(cy, node) {
+  const state = getState(cy);
+  const backup = state.summaryBackupMap.get(node.id());
+  if (!backup) return;
+  
+  withoutRollup(cy, () => {
+    Object.keys(backup).forEach(field => {
+      if (backup[field] === undefined) {
+        node.removeData(field);
+      } else {
+        node.data(field, backup[field]);
+      }
+    });
+  });
+  
+  state.summaryBackupMap.delete(node.id());
+}
+
+/**
+ * Refresh summaries of collapsed ancestors after a hidden node's data changed
+ */
+function onNodeData(cy, node, opts) {
+  const state = getState(cy);
+  if (state.rollupSuspended) return;
+  
+  node.ancestors().forEach(ancestor => {
+    if (state.collapsedIds.has(ancestor.id())) writeSummary(cy, ancestor, opts);
+  });
+}
+
+// ============================================
+// COLLAPSED NODE GEOMETRY
+// ============================================
+
+/**
+ * Size (and shape) a collapsed node should take, per opts.collapsedSize
+ * 
+ * Without opts.collapsedSize no size is written, so the node keeps the size
+ * its style gives it.
+ * 
+ * - 'fixed': { width, height } (default 30 x 30, cytoscape's node size)
+ * - 'proportional': area grows with the descendant count,
+ *   side = min * sqrt(descendantCount), clamped to max
+ * - 'preserve': the size of the expanded contents
+ * 
+ * @returns {Object} { [collapsedWidth, collapsedHeight][, collapsedShape] }
+ */
+function collapsedGeometry(cy, node, descendantCount, opts) {
+  const { mode = 'fixed', width = 30, height = 30, min = 30, max = 150 } = collapsedSizeConfig(opts);
+  let size;
+  
+  if (opts.collapsedSize === undefined) {
+    size = {};
+  } else if (mode === 'fixed') {
+    size = { collapsedWidth: width, collapsedHeight: height };
+  } else if (mode === 'proportional') {
+    const side = Math.min(max, min * Math.sqrt(Math.max(1, descendantCount)));
+    size = { collapsedWidth: side, collapsedHeight: side };
+  } else if (mode === 'preserve') {
+    const extent = contentExtent(cy, node);
+    size = {
+      collapsedWidth: Math.max(width, extent.width + extent.childWidth),
+      collapsedHeight: Math.max(height, extent.height + extent.childHeight)
+    };
+  } else {
+    throw new Error(`Unknown collapsedSize mode "${mode}"`);
+  }
+  
+  return opts.collapsedShape ? { ...size, collapsedShape: opts.collapsedShape } : size;
+}
+
+/**
+ * opts.collapsedSize as an object; a string is the mode
+ */
+function collapsedSizeConfig(opts) {
+  return typeof opts.collapsedSize === 'object' ? opts.collapsedSize : { mode: opts.collapsedSize };
+}
+
+/**
+ * Throw on an unknown collapsedSize mode up front, rather than halfway through a collapse
+ */
+function validateCollapsedSize(opts) {
+  const { mode = 'fixed' } = collapsedSizeConfig(opts);
+  if (!['fixed', 'proportional', 'preserve'].includes(mode)) {
+    throw new Error(`Unknown collapsedSize mode "${mode}"`);
+  }
+}
+
+/**
+ * Box a node occupies; collapsed nodes use their collapsed geometry
+ * 
+ * Its hidden children would otherwise decide the size of the compound.
+ */
+function nodeBox(node) {
+  const width = node.data('collapsedWidth');
+  const height = node.data('collapsedHeight');
+  if (!node.hasClass('cy-compound-collapsed') || width === undefined || height === undefined) {
+    return node.boundingBox();
+  }
+  
+  const { x, y } = node.position();
+  return { x1: x - width / 2, y1: y - height / 2, x2: x + width / 2, y2: y + height / 2, w: width, h: height };
+}
+
+// ============================================
+// TRANSITIONS (animated collapse / expand)
+// ============================================
+
+/**
+ * Run a collapse or expand as an animated transition
+ * 
+ * The collapse state changes at once; only the display lags behind. While fn
+ * runs, hideElement/showElement collect elements instead of switching display,
+ * then collapsing children converge into the node center and fade out, and
+ * expanding children grow out of it. Edges and projections fade.
+ * 
+ * Runs fn directly unless opts.animate is set and cy renders styles.
+ */
+function withTransition(cy, node, opts, fn) {
+  const state = getState(cy);
+  if (!opts.animate || !cy.styleEnabled() || state.transition) return fn();
+  
+  // Interrupt a transition still running on this subtree
+  const subtree = node.union(node.descendants());
+  settleTransitions(cy, subtree.union(subtree.connectedEdges()));
+  
+  const transition = { center: { ...node.position() }, hiding: [], showing: [] };
+  state.transition = transition;
+  let result;
+  try {
+    result = fn();
+  } finally {
+    state.transition = null;
+  }
+  
+  playTransition(cy, transition, opts);
+  return result;
+}
+
+/**
+ * Animate the elements collected by a transition
+ */
+function playTransition(cy, transition, opts) {
+  const state = getState(cy);
+  const duration = opts.animationDuration || 300;
+  
+  const animateTo = (ele, props) => {
+    state.transitioningIds.add(ele.id());
+    ele.animate({ ...props, duration, queue: false, complete: () => finishTransition(cy, ele) });
+  };
+  
+  transition.hiding.forEach(ele => {
+    const converge = ele.isNode() && !ele.isParent() ? { position: transition.center } : {};
+    animateTo(ele, { ...converge, style: { opacity: 0 } });
+  });
+  
+  transition.showing.forEach(ele => {
+    ele.style('opacity', 0);
+    animateTo(ele, { style: { opacity: 1 } });
+  });
+}
+
+/**
+ * Put an element into the display its collapse state calls for
+ */
+function finishTransition(cy, ele) {
+  const state = getState(cy);
+  state.transitioningIds.delete(ele.id());
+  
+  if (state.fadingIds.delete(ele.id())) {
+    cy.remove(ele);
+    return;
+  }
+  
+  ele.removeStyle('opacity');
+  ele.style('display', isHiddenEle(cy, ele) ? 'none' : 'element');
+}
+
+/**
+ * Jump running transitions of some elements to their end
+ * @param {Collection} eles - Elements to settle; fading projections attached to them go too
+ */
+function settleTransitions(cy, eles) {
+  const state = getState(cy);
+  if (state.transitioningIds.size === 0) return;
+  
+  const nodes = eles.nodes();
+  const running = cy.elements().filter(ele => {
+    if (!state.transitioningIds.has(ele.id())) return false;
+    return eles.has(ele) || (ele.isEdge() && (nodes.has(ele.source()) || nodes.has(ele.target())));
+  });
+  
+  running.stop(true, true);
+  running.forEach(ele => finishTransition(cy, ele));
+}
+
+/**
+ * Remove an element, fading it out first during a transition
+ */
+function retireElement(cy, ele) {
+  const state = getState(cy);
+  if (!state.transition) {
+    cy.remove(ele);
+    return;
+  }
+  
+  state.fadingIds.add(ele.id());
+  state.transition.hiding.push(ele);
+}
+
 // ============================================
 // POSITION MANAGEMENT
 // ============================================
@@ -206,6 +637,9 @@ function saveLocalPositions(cy, parent, descendants) {
  * Restore local positions after expand
  * 
  * Per spec 5.2.2: Children receive their saved local positions
+ * 
+ * Leaves at any depth are placed, since transitions move every leaf to the
+ * parent center; compound positions follow from their leaves.
  */
 function restoreLocalPositions(cy, parent, opts) {
   const state = getState(cy);
@@ -214,7 +648,8 @@ function restoreLocalPositions(cy, parent, opts) {
   
   const parentPos = parent.position();
   
-  parent.children().forEach(child => {
+  parent.descendants().forEach(child => {
+    if (child.isParent()) return;
     const localPos = positions.get(child.id());
     if (localPos) {
       const newPos = {
@@ -222,8 +657,9 @@ function restoreLocalPositions(cy, parent, opts) {
         y: parentPos.y + localPos.ly
       };
       
-      if (opts && opts.animate) {
-        child.animate({ position: newPos, duration: opts.animationDuration || 300 });
+      // Headless instances without style never run animations
+      if (opts && opts.animate && cy.styleEnabled()) {
+        child.animate({ position: newPos, duration: opts.animationDuration || 300, queue: false });
       } else {
         child.position(newPos);
       }
@@ -238,137 +674,1318 @@ function restoreLocalPositions(cy, parent, opts) {
 // ============================================
 
 /**
- * Create projected edges for collapsed node
+ * Find the visible node standing in for a node
  * 
- * Per spec 6.1: c → X becomes P → X
- * Per spec 6.2: Multiple edges aggregated to one
+ * Per spec 6.1: The outermost collapsed ancestor represents the node;
+ * a node without collapsed ancestors represents itself.
  */
-function createProjections(cy, parent, descendants) {
-  const parentId = parent.id();
-  const descendantIds = new Set(descendants.map(n => n.id()));
-  descendantIds.add(parentId);
-  
-  // Find external edges and internal edges
-  const externalEdges = [];
-  const internalEdges = [];
-  const seenEdges = new Set();
+function visibleRepresentative(cy, node) {
+  const state = getState(cy);
+  let representative = node;
   
-  descendants.forEach(node => {
-    node.connectedEdges().forEach(edge => {
-      if (seenEdges.has(edge.id())) return;
-      seenEdges.add(edge.id());
-      
-      const sourceId = edge.source().id();
-      const targetId = edge.target().id();
-      const sourceIn = descendantIds.has(sourceId);
-      const targetIn = descendantIds.has(targetId);
-      
-      if (sourceIn && targetIn) {
-        // Internal edge - both endpoints in subtree
-        internalEdges.push(edge);
-      } else if (sourceIn !== targetIn) {
-        // External edge - exactly one endpoint in descendants
-        externalEdges.push(edge);
-      }
-    });
+  // ancestors() runs from the parent up to the root, so the last hit is outermost
+  node.ancestors().forEach(ancestor => {
+    if (state.collapsedIds.has(ancestor.id())) representative = ancestor;
   });
   
-  // Hide internal edges (per spec 6.4 - not projected, just hidden)
-  internalEdges.forEach(edge => {
-    hideElement(cy, edge);
-  });
+  return representative;
+}
+
+/**
+ * Key identifying a projection by its (source, target) representatives
+ */
+function projectionKey(sourceId, targetId) {
+  return JSON.stringify([sourceId, targetId]);
+}
+
+/**
+ * Recompute projections for a set of original edges
+ * 
+ * Per spec 6.1: c → X becomes P → X, with both endpoints resolved
+ * to their visible representatives (so P → Q between two collapsed nodes)
+ * Per spec 6.2: Multiple edges aggregated to one
+ * Per spec 6.4: Internal edges are hidden, not projected
+ * 
+ * Each projection carries originalIds, count and the fields aggregated
+ * from its originals by opts.edgeAggregators (e.g. { weight: 'sum' }).
+ * 
+ * Projection edges passed in are ignored; they are derived from originals.
+ * With opts.bundleEdges, parallel edges between visible nodes are projected
+ * as well (see isBundledEdge).
+ * 
+ * Hierarchical model: a projection whose endpoint gets hidden by an outer
+ * collapse is suspended (hidden, kept with its id, data and classes) rather
+ * than removed, and is shown again once its originals regroup onto the same
+ * (source, target) pair after the outer expand. Bundles inside a collapsed
+ * compound are suspended the same way. A projection is removed only when
+ * neither endpoint is collapsed any more (a bundle: when both are visible).
+ */
+function updateProjections(cy, edges, opts = {}) {
+  const state = getState(cy);
+  const affectedIds = new Set();
+  const touchedKeys = new Set();
   
-  // Group by (direction, external node ID) for aggregation per spec 6.2
-  // Multiple edges to same external target become ONE projection
-  const groups = new Map();
-  externalEdges.forEach(edge => {
-    const sourceId = edge.source().id();
-    const targetId = edge.target().id();
-    
-    // Determine direction and external node
-    let key;
-    if (descendantIds.has(sourceId) && !descendantIds.has(targetId)) {
-      // Outgoing edge: child → external
-      key = `out:${targetId}`;
-    } else if (!descendantIds.has(sourceId) && descendantIds.has(targetId)) {
-      // Incoming edge: external → child
-      key = `in:${sourceId}`;
-    } else {
-      return; // Skip if both or neither in descendants
-    }
+  edges.forEach(edge => {
+    // Edges leaving the focused compound stay as they were until exit
+    if (edge.data('_isProjection') || isFocusedOut(cy, edge)) return;
+    affectedIds.add(edge.id());
     
-    if (!groups.has(key)) {
-      groups.set(key, []);
+    // Parallel edges are bundled or unbundled together
+    if (opts.bundleEdges && isBundleable(edge)) {
+      parallelEdges(cy, edge.data('source'), edge.data('target')).forEach(parallel => {
+        if (!isFocusedOut(cy, parallel)) affectedIds.add(parallel.id());
+      });
     }
-    groups.get(key).push(edge);
   });
   
-  // Create one projection per external target
-  const projIds = [];
-  let projCounter = 0;
+  // Detach affected edges from the projections they currently belong to
+  state.projectionEdgesMap.forEach((data, key) => {
+    data.originalIds.forEach(id => {
+      if (affectedIds.has(id)) {
+        data.originalIds.delete(id);
+        touchedKeys.add(key);
+      }
+    });
+  });
   
-  groups.forEach((edges, key) => {
-    const [direction, externalId] = key.split(':');
-    const projId = `_proj_${parentId}_${projCounter++}`;
+  // Regroup by (source representative, target representative)
+  affectedIds.forEach(id => {
+    const edge = cy.$id(id);
+    const source = visibleRepresentative(cy, edge.source());
+    const target = visibleRepresentative(cy, edge.target());
+    
+    if (source.same(edge.source()) && target.same(edge.target()) && !isBundledEdge(cy, edge, opts)) {
+      // Both endpoints visible - show the original edge
+      showElement(cy, edge);
+      return;
+    }
     
-    const source = direction === 'out' ? parentId : externalId;
-    const target = direction === 'out' ? externalId : parentId;
+    hideElement(cy, edge);
     
-    const proj = cy.add({
-      group: 'edges',
-      data: { id: projId, source, target, _isProjection: true }
-    });
+    // Internal edge - both endpoints inside the same collapsed node
+    if (source.same(target)) return;
     
-    proj.addClass('cy-compound-projection');
-    projIds.push(projId);
+    const key = projectionKey(source.id(), target.id());
+    if (!state.projectionEdgesMap.has(key)) {
+      state.projectionEdgesMap.set(key, {
+        id: nextProjectionId(cy, key, source.id()),
+        source: source.id(),
+        target: target.id(),
+        originalIds: new Set(),
+        // Between the originals' own endpoints: a bundle of parallel edges
+        bundle: source.same(edge.source()) && target.same(edge.target())
+      });
+    }
+    state.projectionEdgesMap.get(key).originalIds.add(id);
+    touchedKeys.add(key);
   });
   
-  // Store mapping
-  const state = getState(cy);
-  const originalIds = externalEdges.map(e => e.id());
-  state.projectionEdgesMap.set(parentId, { projIds, originalIds });
+  refreshProjections(cy, touchedKeys, opts);
 }
 
 /**
- * Remove projections and restore original edges
+ * Check if an edge can take part in a bundle
  * 
- * Per spec 5.2.4: Original edges are restored
- * Per spec 5.2.5: Projections are removed
+ * Loops and the stand-in edges of focus and lazy loading never do.
  */
-function removeProjections(cy, parent) {
-  const state = getState(cy);
-  const data = state.projectionEdgesMap.get(parent.id());
-  if (!data) return;
-  
-  // Remove projection edges
-  data.projIds.forEach(projId => {
-    const proj = cy.$id(projId);
-    if (proj.nonempty()) {
-      cy.remove(proj);
-    }
-  });
-  
-  // Note: original edges are shown in expand() when both endpoints become visible
-  
-  state.projectionEdgesMap.delete(parent.id());
+function isBundleable(edge) {
+  return !edge.data('_isProjection') && !edge.data('_isStub') && !edge.data('stub') &&
+    edge.data('source') !== edge.data('target');
 }
 
-// ============================================
-// LAYOUT INTEGRATION (Cola)
-// ============================================
-
 /**
- * Get visible nodes (not hidden by collapse)
- * @param {Core} cy - Cytoscape instance
- * @returns {Collection} Visible nodes
+ * Bundleable edges from one node to another
  */
-function getVisibleNodes(cy) {
-  return cy.nodes().filter(n => !isHiddenEle(cy, n));
+function parallelEdges(cy, sourceId, targetId) {
+  const source = cy.$id(sourceId);
+  const target = cy.$id(targetId);
+  if (source.empty() || target.empty()) return cy.collection();
+  return source.edgesTo(target).filter(isBundleable);
 }
 
 /**
- * Check if two bounding boxes overlap
- * @param {Object} bb1 - First bounding box {x1, y1, x2, y2}
+ * Check if an edge between two visible nodes goes into a bundle
+ * 
+ * With opts.bundleEdges, parallel edges (same source and target) become one
+ * projection once there are at least minEdges of them (default 2), unless
+ * expandEdges opened that bundle.
+ */
+function isBundledEdge(cy, edge, opts) {
+  if (!opts.bundleEdges || !isBundleable(edge)) return false;
+  
+  const state = getState(cy);
+  if (state.expandedBundles.has(projectionKey(edge.data('source'), edge.data('target')))) return false;
+  
+  const minEdges = (typeof opts.bundleEdges === 'object' && opts.bundleEdges.minEdges) || 2;
+  return parallelEdges(cy, edge.data('source'), edge.data('target')).length >= minEdges;
+}
+
+/**
+ * Bring projection edges in line with their registry entries
+ * 
+ * @param {Set} touchedKeys - Keys whose originals changed
+ */
+function refreshProjections(cy, touchedKeys, opts = {}) {
+  const state = getState(cy);
+  
+  // Suspended projections are revisited too: their endpoint may have been expanded
+  state.projectionEdgesMap.forEach((data, key) => {
+    if (data.originalIds.size === 0) touchedKeys.add(key);
+  });
+  
+  // Add or restore projection edges, suspend or remove the ones left without originals
+  touchedKeys.forEach(key => {
+    const data = state.projectionEdgesMap.get(key);
+    if (!data) return;
+    const proj = cy.$id(data.id);
+    
+    // An endpoint removed along with the originals' nodes takes the projection with it
+    if (cy.$id(data.source).empty() || cy.$id(data.target).empty()) {
+      state.projectionEdgesMap.delete(key);
+      if (proj.nonempty()) retireElement(cy, proj);
+      return;
+    }
+    
+    if (data.originalIds.size === 0) {
+      if (proj.nonempty() && isSuspendable(cy, data)) {
+        hideElement(cy, proj);
+      } else {
+        state.projectionEdgesMap.delete(key);
+        if (proj.nonempty()) retireElement(cy, proj);
+      }
+    } else {
+      const projData = projectionDataOf(collectionOf(cy, data.originalIds), opts);
+      
+      if (proj.empty()) {
+        const added = cy.add({
+          group: 'edges',
+          data: { ...projData, id: data.id, source: data.source, target: data.target, _isProjection: true },
+          classes: 'cy-compound-projection'
+        });
+        if (state.transition) state.transition.showing.push(added);
+      } else {
+        proj.data(projData);
+        if (isHiddenEle(cy, proj)) showElement(cy, proj);
+      }
+    }
+  });
+}
+
+/**
+ * Build the data of a projection (or focus stub) edge from its originals
+ * 
+ * opts.projectionData(data, originals) may return extra fields to merge in.
+ */
+function projectionDataOf(originals, opts) {
+  const data = {
+    originalIds: originals.map(e => e.id()),
+    count: originals.length,
+    ...aggregateData(originals, opts.edgeAggregators)
+  };
+  
+  return opts.projectionData ? { ...data, ...opts.projectionData(data, originals) } : data;
+}
+
+/**
+ * Pick an id for a new projection
+ * 
+ * While a snapshot is being restored, the id it recorded for the same
+ * (source, target) pair is reused so the projection comes back unchanged.
+ */
+function nextProjectionId(cy, key, sourceId) {
+  const state = getState(cy);
+  const preferred = state.preferredProjectionIds && state.preferredProjectionIds.get(key);
+  if (preferred && cy.$id(preferred).empty()) return preferred;
+  
+  return `_proj_${sourceId}_${state.projectionCounter++}`;
+}
+
+/**
+ * Build a collection from element ids, skipping removed elements
+ */
+function collectionOf(cy, ids) {
+  const eles = [];
+  ids.forEach(id => {
+    const ele = cy.$id(id);
+    if (ele.nonempty()) eles.push(ele[0]);
+  });
+  return cy.collection(eles);
+}
+
+/**
+ * Check if an empty projection can wait for an outer expand
+ * 
+ * It must still end at a collapsed node (or be a bundle), and an endpoint
+ * must be hidden (otherwise nothing outer is holding its originals).
+ */
+function isSuspendable(cy, data) {
+  const state = getState(cy);
+  const source = cy.$id(data.source);
+  const target = cy.$id(data.target);
+  
+  const collapsedEnd = state.collapsedIds.has(data.source) || state.collapsedIds.has(data.target);
+  const hiddenEnd = isHiddenEle(cy, source) || isHiddenEle(cy, target);
+  
+  return (collapsedEnd || data.bundle) && hiddenEnd;
+}
+
+/**
+ * Find what currently stands in for an element
+ * 
+ * Nodes resolve to their visible representative. Hidden edges resolve to
+ * the visible projection carrying them, or to the collapsed node hiding
+ * both endpoints when the edge is internal.
+ */
+function representativeOf(cy, ele) {
+  if (ele.isNode()) return visibleRepresentative(cy, ele);
+  if (!isHiddenEle(cy, ele)) return ele;
+  
+  const state = getState(cy);
+  let projection = null;
+  state.projectionEdgesMap.forEach(data => {
+    if (!data.originalIds.has(ele.id())) return;
+    const proj = cy.$id(data.id);
+    if (proj.nonempty() && !isHiddenEle(cy, proj)) projection = proj;
+  });
+  
+  return projection || visibleRepresentative(cy, ele.source());
+}
+
+/**
+ * Get projection edges attached to a node
+ */
+function getProjectionsOf(cy, node) {
+  const state = getState(cy);
+  const nodeId = node.id();
+  const projections = [];
+  
+  state.projectionEdgesMap.forEach(data => {
+    if (data.source !== nodeId && data.target !== nodeId) return;
+    const proj = cy.$id(data.id);
+    if (proj.nonempty() && !isHiddenEle(cy, proj)) projections.push(proj);
+  });
+  
+  // Stub edges stand in for projections of unloaded compounds
+  node.connectedEdges().forEach(edge => {
+    if (edge.data('stub') && !isHiddenEle(cy, edge)) projections.push(edge);
+  });
+  
+  return projections;
+}
+
+// ============================================
+// GRAPH MUTATIONS (add / remove / move)
+// ============================================
+
+/**
+ * Bring a node's subtree in line with the collapse state after it was added or moved
+ * 
+ * The subtree is hidden inside collapsed ancestors and recorded in their
+ * hiddenElementsMap / savedPositionsMap entries, and forgotten by collapsed
+ * nodes it no longer belongs to.
+ */
+function syncSubtree(cy, node, opts) {
+  const state = getState(cy);
+  const subtree = node.union(node.descendants());
+  const subtreeIds = new Set(subtree.map(n => n.id()));
+  const collapsedAncestors = node.ancestors().filter(a => state.collapsedIds.has(a.id()));
+  const ancestorIds = new Set(collapsedAncestors.map(a => a.id()));
+  const summaryIds = new Set(ancestorIds);
+  
+  withoutRollup(cy, () => {
+    // Forget the subtree in collapsed nodes it left (collapsed nodes moved
+    // along with it keep their own contents)
+    state.hiddenElementsMap.forEach((ids, collapsedId) => {
+      if (ancestorIds.has(collapsedId) || subtreeIds.has(collapsedId)) return;
+      const kept = ids.filter(id => !subtreeIds.has(id));
+      if (kept.length === ids.length) return;
+      
+      state.hiddenElementsMap.set(collapsedId, kept);
+      const positions = state.savedPositionsMap.get(collapsedId);
+      if (positions) subtreeIds.forEach(id => positions.delete(id));
+      summaryIds.add(collapsedId);
+    });
+    
+    // Record it in collapsed nodes it now belongs to
+    collapsedAncestors.forEach(ancestor => {
+      const ids = state.hiddenElementsMap.get(ancestor.id()) || [];
+      const known = new Set(ids);
+      const positions = state.savedPositionsMap.get(ancestor.id());
+      const ancestorPos = ancestor.position();
+      
+      subtree.forEach(n => {
+        if (!known.has(n.id())) ids.push(n.id());
+        if (positions && !positions.has(n.id())) {
+          const pos = n.position();
+          positions.set(n.id(), { lx: pos.x - ancestorPos.x, ly: pos.y - ancestorPos.y });
+        }
+      });
+      state.hiddenElementsMap.set(ancestor.id(), ids);
+    });
+    
+    // Hidden exactly when something collapsed stands in for it,
+    // or while it is outside the focused compound (shown again on exit)
+    subtree.forEach(n => {
+      if (isFocusedOut(cy, n)) {
+        if (!isHiddenEle(cy, n) && visibleRepresentative(cy, n).same(n)) {
+          state.focusStack[state.focusStack.length - 1].hiddenIds.push(n.id());
+        }
+        hideElement(cy, n);
+      } else if (visibleRepresentative(cy, n).same(n)) {
+        if (isHiddenEle(cy, n)) showElement(cy, n);
+      } else {
+        hideElement(cy, n);
+      }
+    });
+  });
+  
+  updateProjections(cy, subtree.connectedEdges(), opts);
+  
+  summaryIds.forEach(id => {
+    const collapsedNode = cy.$id(id);
+    if (collapsedNode.nonempty()) writeSummary(cy, collapsedNode, opts);
+  });
+}
+
+/**
+ * Drop all state held for a removed element
+ */
+function forgetElement(cy, ele, opts) {
+  const state = getState(cy);
+  const id = ele.id();
+  state.hiddenIds.delete(id);
+  state.transitioningIds.delete(id);
+  state.fadingIds.delete(id);
+  if (ele.data('_isStub')) return;
+  
+  if (ele.isEdge()) {
+    if (ele.data('_isProjection')) return;
+    
+    // Edges of a removed node arrive before the node itself
+    [ele.data('source'), ele.data('target')].forEach(nodeId => {
+      if (cy.$id(nodeId).empty()) forgetProjectionsOf(cy, nodeId);
+    });
+    
+    // Detach from its projection; the projection updates or goes away
+    const touchedKeys = new Set();
+    state.projectionEdgesMap.forEach((data, key) => {
+      if (data.originalIds.delete(id)) touchedKeys.add(key);
+    });
+    refreshProjections(cy, touchedKeys, opts);
+    
+    // The parallel edges left behind may no longer make a bundle;
+    // none are left when an endpoint went too
+    const sourceId = ele.data('source');
+    const targetId = ele.data('target');
+    if (opts.bundleEdges && isBundleable(ele) && cy.$id(sourceId).nonempty() && cy.$id(targetId).nonempty()) {
+      updateProjections(cy, parallelEdges(cy, sourceId, targetId), opts);
+    }
+    return;
+  }
+  
+  // A removed collapsed node takes its own state along
+  state.collapsedIds.delete(id);
+  state.hiddenElementsMap.delete(id);
+  state.savedPositionsMap.delete(id);
+  state.summaryBackupMap.delete(id);
+  state.pinnedIds.delete(id);
+  forgetProjectionsOf(cy, id);
+  state.expandedBundles.forEach(key => {
+    if (JSON.parse(key).includes(id)) state.expandedBundles.delete(key);
+  });
+  
+  // Collapsed nodes that were hiding it lose a member
+  state.hiddenElementsMap.forEach((ids, collapsedId) => {
+    const index = ids.indexOf(id);
+    if (index === -1) return;
+    
+    ids.splice(index, 1);
+    const positions = state.savedPositionsMap.get(collapsedId);
+    if (positions) positions.delete(id);
+    
+    const collapsedNode = cy.$id(collapsedId);
+    if (collapsedNode.nonempty()) writeSummary(cy, collapsedNode, opts);
+  });
+}
+
+/**
+ * Drop the projections ending at a removed node
+ */
+function forgetProjectionsOf(cy, nodeId) {
+  const state = getState(cy);
+  state.projectionEdgesMap.forEach((data, key) => {
+    if (data.source === nodeId || data.target === nodeId) state.projectionEdgesMap.delete(key);
+  });
+}
+
+/**
+ * Handle an element added to the graph
+ */
+function onElementAdded(cy, ele, opts) {
+  if (ele.data('_isStub')) return;
+  
+  if (ele.isNode()) {
+    if (isUnloaded(ele)) markUnloaded(cy, ele);
+    syncSubtree(cy, ele, opts);
+  } else if (!ele.data('_isProjection')) {
+    if (ele.data('stub')) ele.addClass('cy-compound-projection');
+    updateProjections(cy, ele, opts);
+  }
+}
+
+/**
+ * Handle a node reparented or an edge reconnected
+ */
+function onElementMoved(cy, ele, opts) {
+  if (ele.isNode()) {
+    syncSubtree(cy, ele, opts);
+  } else if (!ele.data('_isProjection')) {
+    updateProjections(cy, ele, opts);
+  }
+}
+
+// ============================================
+// DYNAMIC GROUPING
+// ============================================
+
+/**
+ * Check if a node is a group created by groupBy for this key
+ */
+function isGroupFor(node, key) {
+  return Boolean(node.data('_groupBy')) && node.data('groupKey') === key;
+}
+
+/**
+ * Nearest compound containing all nodes, or null when that is the top level
+ */
+function commonParent(nodes) {
+  const others = nodes.slice(1);
+  const ancestor = nodes[0].ancestors().filter(a => others.every(n => n.ancestors().has(a)))[0];
+  return ancestor || null;
+}
+
+/**
+ * Add an empty group compound under parent, centered on its future members
+ */
+function addGroup(cy, key, parent, members) {
+  const base = `group:${key}`;
+  let id = base;
+  for (let i = 2; cy.$id(id).nonempty(); i++) id = `${base}:${i}`;
+  
+  const center = { x: 0, y: 0 };
+  members.forEach(n => {
+    center.x += n.position('x') / members.length;
+    center.y += n.position('y') / members.length;
+  });
+  
+  const data = { id, label: String(key), groupKey: key, _groupBy: true };
+  if (parent) data.parent = parent.id();
+  return cy.add({ group: 'nodes', data, position: center });
+}
+
+/**
+ * Move nodes into compounds by key
+ * 
+ * Members of one key go into a group under their nearest common ancestor,
+ * reusing a groupBy group for that key already there. Nodes with a null or
+ * undefined key stay where they are, as do nodes inside another selected
+ * node (they move along with it). Collapse state and projections follow
+ * through the move events (see syncSubtree).
+ * 
+ * @returns {Collection} Groups that received members
+ */
+function groupNodes(cy, nodes, keyFn, opts, { collapse: collapseGroups = false } = {}) {
+  const selected = nodes.nodes().filter(n => !n.data('_isStub'));
+  const byKey = new Map();
+  selected
+    .filter(n => !n.ancestors().some(a => selected.has(a)))
+    .forEach(n => {
+      const key = keyFn(n);
+      if (key === undefined || key === null) return;
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(n);
+    });
+  
+  let groups = cy.collection();
+  byKey.forEach((members, key) => {
+    const parent = commonParent(members);
+    let group;
+    if (parent && isGroupFor(parent, key)) {
+      group = parent;
+    } else {
+      const siblings = parent ? parent.children() : cy.nodes().orphans();
+      group = siblings.filter(n => isGroupFor(n, key))[0] || addGroup(cy, key, parent, members);
+    }
+    
+    const moved = cy.collection(members.filter(n => !n.parent().same(group)));
+    if (moved.nonempty()) moved.move({ parent: group.id() });
+    groups = groups.union(group);
+    cy.emit('compoundmanager.group', { node: group, key, members: cy.collection(members) });
+  });
+  
+  if (collapseGroups) collapseNodes(cy, groups, opts);
+  return groups;
+}
+
+/**
+ * Dissolve a compound, moving its children up to its parent
+ * 
+ * A collapsed compound is expanded first (without animation), so children
+ * keep the positions they had before it collapsed.
+ * 
+ * @returns {Collection} The children that were moved
+ */
+function ungroupNode(cy, node, opts) {
+  if (!node.isParent()) return cy.collection();
+  if (isCollapsedNode(cy, node)) {
+    expand(cy, node, { ...opts, animate: false, cancelable: false });
+  }
+  
+  const children = node.children();
+  const parent = node.parent();
+  children.move({ parent: parent.nonempty() ? parent.id() : null });
+  cy.emit('compoundmanager.ungroup', { node, children });
+  cy.remove(node);
+  return children;
+}
+
+/**
+ * Dissolve groups and group their members by another key
+ * 
+ * New groups start collapsed when every dissolved group was collapsed,
+ * unless options.collapse says otherwise.
+ * 
+ * @returns {Collection} The new groups
+ */
+function regroupNodes(cy, groups, keyFn, opts, options = {}) {
+  const dissolved = groups.filter(n => n.isParent());
+  const wasCollapsed = dissolved.nonempty() && dissolved.every(n => isCollapsedNode(cy, n));
+  
+  let members = cy.collection();
+  dissolved.forEach(group => {
+    members = members.union(ungroupNode(cy, group, opts));
+  });
+  
+  return groupNodes(cy, members, keyFn, opts, { collapse: wasCollapsed, ...options });
+}
+
+// ============================================
+// LAZY LOADING
+// ============================================
+
+/**
+ * Check if a compound's children have not been loaded yet (data.unloaded)
+ */
+function isUnloaded(node) {
+  return node.data('unloaded') === true;
+}
+
+/**
+ * Treat an unloaded compound as collapsed
+ * 
+ * Edges attached to it with data.stub stand in for its projections
+ * until the children are loaded.
+ */
+function markUnloaded(cy, node) {
+  const state = getState(cy);
+  if (state.collapsedIds.has(node.id())) return;
+  
+  state.collapsedIds.add(node.id());
+  state.hiddenElementsMap.set(node.id(), []);
+  state.savedPositionsMap.set(node.id(), new Map());
+  node.addClass('cy-compound-collapsed');
+  node.connectedEdges().filter(e => e.data('stub')).addClass('cy-compound-projection');
+}
+
+/**
+ * Give loaded nodes without a position a grid spot around the parent
+ */
+function placeLoadedElements(parent, elements) {
+  const nodes = elements.filter(e => e.group !== 'edges' && !(e.data && e.data.source));
+  const unplaced = nodes.filter(e => !e.position);
+  const columns = Math.ceil(Math.sqrt(unplaced.length));
+  const spacing = 60;
+  const center = parent.position();
+  
+  nodes.forEach(e => {
+    if (e.data.parent === undefined) e.data.parent = parent.id();
+  });
+  
+  unplaced.forEach((e, i) => {
+    const col = i % columns;
+    const row = Math.floor(i / columns);
+    e.position = {
+      x: center.x + (col - (columns - 1) / 2) * spacing,
+      y: center.y + (row - (Math.ceil(unplaced.length / columns) - 1) / 2) * spacing
+    };
+  });
+}
+
+/**
+ * Replace the stub edges of an unloaded compound by its loaded elements
+ * 
+ * If cytoscape rejects the elements (e.g. an edge to a missing node), the
+ * ones already added are removed and the compound keeps its stubs and stays
+ * unloaded, so a later expand tries again.
+ */
+function insertLoadedElements(cy, node, elements) {
+  const stubs = node.connectedEdges().filter(e => e.data('stub'));
+  cy.remove(stubs);
+  node.data('unloaded', false);
+  const before = cy.elements();
+  
+  try {
+    // Still collapsed here, so new children are hidden and their positions saved
+    cy.add(elements);
+  } catch (error) {
+    cy.remove(cy.elements().not(before));
+    node.data('unloaded', true);
+    stubs.restore();
+    throw error;
+  }
+}
+
+/**
+ * Load the children of an unloaded compound, then expand it
+ * 
+ * opts.loadChildren(node) resolves to an array of elements (or { elements }).
+ * Top-level nodes without a parent are placed in the compound. Stub edges are
+ * replaced by projections of the real edges. The expand that follows is one
+ * undo step; undoing it collapses the compound, its loaded children stay.
+ * 
+ * Without opts.loadChildren the compound can't be loaded: loaderror is emitted.
+ * 
+ * @returns {Promise<boolean>} True once loaded and expanded, false on error
+ */
+function loadChildren(cy, node, opts) {
+  const state = getState(cy);
+  const nodeId = node.id();
+  
+  if (state.loadingMap.has(nodeId)) return state.loadingMap.get(nodeId);
+  if (typeof opts.loadChildren !== 'function') {
+    const error = new Error(`Cannot load "${nodeId}": no loadChildren option`);
+    cy.emit('compoundmanager.loaderror', { node, error });
+    return Promise.resolve(false);
+  }
+  
+  node.addClass('cy-compound-loading');
+  cy.emit('compoundmanager.loading', { node });
+  
+  const done = () => {
+    node.removeClass('cy-compound-loading');
+    state.loadingMap.delete(nodeId);
+  };
+  
+  const promise = Promise.resolve()
+    .then(() => opts.loadChildren(node))
+    .then(result => {
+      const elements = (Array.isArray(result) ? result : (result && result.elements) || [])
+        .map(e => ({ ...e, data: { ...e.data } }));
+      
+      placeLoadedElements(node, elements);
+      insertLoadedElements(cy, node, elements);
+      done();
+      
+      // beforeexpand already ran when loading was requested
+      const record = state.recordHistory || (fn => fn());
+      record(() => expand(cy, node, { ...opts, cancelable: false }));
+      cy.emit('compoundmanager.loaded', { node });
+      return true;
+    })
+    .catch(error => {
+      done();
+      cy.emit('compoundmanager.loaderror', { node, error });
+      return false;
+    });
+  
+  state.loadingMap.set(nodeId, promise);
+  trackWork(cy, promise);
+  return promise;
+}
+
+// ============================================
+// SERIALIZATION
+// ============================================
+
+export const STATE_VERSION = 1;
+
+/**
+ * Take a JSON-serializable snapshot of the collapse state
+ * 
+ * Projections are included for inspection only; they are derived
+ * from the collapsed set and rebuilt by restoreState.
+ */
+function snapshotState(cy) {
+  const state = getState(cy);
+  
+  const savedPositions = {};
+  state.savedPositionsMap.forEach((positions, parentId) => {
+    savedPositions[parentId] = {};
+    positions.forEach((pos, childId) => {
+      savedPositions[parentId][childId] = { lx: pos.lx, ly: pos.ly };
+    });
+  });
+  
+  const projections = [];
+  state.projectionEdgesMap.forEach(data => {
+    projections.push({
+      id: data.id,
+      source: data.source,
+      target: data.target,
+      originalIds: Array.from(data.originalIds)
+    });
+  });
+  
+  return {
+    version: STATE_VERSION,
+    collapsedIds: Array.from(state.collapsedIds),
+    savedPositions,
+    projections
+  };
+}
+
+/**
+ * Re-apply a snapshot taken by snapshotState
+ * 
+ * Ids missing from the graph are skipped; nodes added since the
+ * snapshot keep their current positions.
+ */
+function restoreState(cy, snapshot, opts) {
+  if (!snapshot || snapshot.version !== STATE_VERSION) {
+    throw new Error(`Unsupported compound manager state version: ${snapshot && snapshot.version}`);
+  }
+  
+  const state = getState(cy);
+  const wanted = new Set((snapshot.collapsedIds || []).filter(id => cy.$id(id).nonempty()));
+  
+  // Projections rebuilt below keep the ids they had in the snapshot
+  state.preferredProjectionIds = new Map(
+    (snapshot.projections || []).map(p => [projectionKey(p.source, p.target), p.id])
+  );
+  
+  // A saved state is applied exactly; before-event handlers cannot veto it
+  const restoreOpts = { ...opts, cancelable: false };
+  
+  try {
+    expandNodes(cy, cy.nodes().filter(n => state.collapsedIds.has(n.id()) && !wanted.has(n.id())), restoreOpts);
+    collapseNodes(cy, Array.from(wanted).map(id => cy.$id(id)), restoreOpts);
+  } finally {
+    state.preferredProjectionIds = null;
+  }
+  
+  // Saved local positions override the ones taken while collapsing
+  const savedPositions = snapshot.savedPositions || {};
+  Object.keys(savedPositions).forEach(parentId => {
+    const positions = state.savedPositionsMap.get(parentId);
+    if (!positions) return;
+    
+    Object.keys(savedPositions[parentId]).forEach(childId => {
+      if (positions.has(childId)) {
+        const { lx, ly } = savedPositions[parentId][childId];
+        positions.set(childId, { lx, ly });
+      }
+    });
+  });
+}
+
+/**
+ * Capture collapse state plus positions of all leaf nodes (for undo/redo)
+ * 
+ * Compound positions follow from their children, hidden ones included.
+ */
+function captureSnapshot(cy) {
+  const positions = {};
+  cy.nodes().forEach(n => {
+    if (n.isParent()) return;
+    const pos = n.position();
+    positions[n.id()] = { x: pos.x, y: pos.y };
+  });
+  
+  return { state: snapshotState(cy), positions };
+}
+
+/**
+ * Apply a snapshot from captureSnapshot, without animation
+ * 
+ * A running layout would keep moving nodes away from the snapshot, so it is stopped first.
+ */
+function applySnapshot(cy, snapshot, opts) {
+  cancelLayout(cy);
+  settleTransitions(cy, cy.elements());
+  cy.nodes().stop(true);
+  restoreState(cy, snapshot.state, { ...opts, animate: false });
+  
+  Object.keys(snapshot.positions).forEach(id => {
+    const node = cy.$id(id);
+    if (node.nonempty() && !node.isParent()) node.position(snapshot.positions[id]);
+  });
+}
+
+/**
+ * The graph as displayed, as plain records for exportView
+ * 
+ * Visible nodes (focus stubs included, hidden focus ancestors not), visible
+ * original edges and projection edges with their aggregated data. Internal
+ * fields (leading underscore) are left out.
+ * 
+ * @param {Core} cy - Cytoscape instance
+ * @returns {Object} { nodes, edges }
+ */
+function visibleView(cy) {
+  const nodes = cy.nodes().filter(n => !isHiddenEle(cy, n) && !n.hasClass('cy-compound-focus-ancestor'));
+  const edges = cy.edges().filter(e => !isHiddenEle(cy, e) && nodes.has(e.source()) && nodes.has(e.target()));
+  
+  const publicData = (ele, skip) => {
+    const data = {};
+    Object.entries(ele.data()).forEach(([key, value]) => {
+      if (!key.startsWith('_') && !skip.includes(key)) data[key] = value;
+    });
+    return data;
+  };
+  
+  return {
+    nodes: nodes.map(n => ({
+      id: n.id(),
+      parent: nodes.has(n.parent()) ? n.parent().id() : undefined,
+      data: publicData(n, ['id', 'parent']),
+      position: { ...n.position() },
+      classes: n.classes().join(' '),
+      collapsed: isCollapsedNode(cy, n)
+    })),
+    edges: edges.map(e => ({
+      id: e.id(),
+      source: e.source().id(),
+      target: e.target().id(),
+      data: publicData(e, ['id', 'source', 'target']),
+      classes: e.classes().join(' '),
+      projection: e.data('_isProjection') === true
+    }))
+  };
+}
+
+// ============================================
+// FOCUS (drill-down into a compound)
+// ============================================
+
+/**
+ * Check if an element lies outside the currently focused compound
+ * 
+ * Edges are outside when either endpoint is.
+ */
+function isFocusedOut(cy, ele) {
+  const state = getState(cy);
+  const frame = state.focusStack[state.focusStack.length - 1];
+  if (!frame) return false;
+  
+  if (ele.isEdge()) {
+    return isFocusedOut(cy, ele.source()) || isFocusedOut(cy, ele.target());
+  }
+  
+  const root = cy.$id(frame.rootId);
+  return !ele.same(root) && !ele.ancestors().has(root);
+}
+
+/**
+ * Remove all boundary stubs
+ */
+function removeFocusStubs(cy) {
+  cy.remove(cy.elements().filter(ele => ele.data('_isStub')));
+}
+
+/**
+ * Show edges leaving the focused compound as boundary stubs
+ * 
+ * One stub node per outside representative, placed on the focused
+ * compound's border in its direction. Stub edges aggregate like projections:
+ * one per (inside representative, stub, direction) with originalIds, count
+ * and opts.edgeAggregators fields.
+ */
+function buildFocusStubs(cy, root, opts) {
+  const inside = root.union(root.descendants());
+  const groups = new Map();
+  
+  inside.connectedEdges().forEach(edge => {
+    if (edge.data('_isProjection')) return;
+    
+    const sourceIn = inside.has(edge.source());
+    if (sourceIn === inside.has(edge.target())) return;
+    
+    const insideRep = visibleRepresentative(cy, sourceIn ? edge.source() : edge.target());
+    const outsideRep = visibleRepresentative(cy, sourceIn ? edge.target() : edge.source());
+    const key = JSON.stringify([insideRep.id(), outsideRep.id(), sourceIn]);
+    
+    if (!groups.has(key)) {
+      groups.set(key, { insideRep, outsideRep, outgoing: sourceIn, edges: [] });
+    }
+    groups.get(key).edges.push(edge);
+  });
+  
+  if (groups.size === 0) return;
+  
+  const bb = inside.filter(n => n.isNode() && !isHiddenEle(cy, n)).boundingBox();
+  const center = { x: (bb.x1 + bb.x2) / 2, y: (bb.y1 + bb.y2) / 2 };
+  const radius = Math.max(bb.w, bb.h) / 2 + 40;
+  const stubIds = new Map();
+  let stubCounter = 0;
+  
+  groups.forEach(({ insideRep, outsideRep, outgoing, edges }) => {
+    const outsideId = outsideRep.id();
+    
+    if (!stubIds.has(outsideId)) {
+      const pos = outsideRep.position();
+      const angle = Math.atan2(pos.y - center.y, pos.x - center.x);
+      const stubId = `_stub_${outsideId}`;
+      
+      cy.add({
+        group: 'nodes',
+        data: { id: stubId, _isStub: true, stubOf: outsideId, label: outsideRep.data('label') || outsideId },
+        position: { x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) },
+        classes: 'cy-compound-stub'
+      });
+      stubIds.set(outsideId, stubId);
+    }
+    
+    const originals = cy.collection(edges);
+    const stubId = stubIds.get(outsideId);
+    cy.add({
+      group: 'edges',
+      data: {
+        id: `_stub_edge_${stubCounter++}`,
+        source: outgoing ? insideRep.id() : stubId,
+        target: outgoing ? stubId : insideRep.id(),
+        ...projectionDataOf(originals, opts),
+        _isProjection: true,
+        _isStub: true
+      },
+      classes: 'cy-compound-projection cy-compound-stub'
+    });
+  });
+}
+
+/**
+ * Rebuild stubs for the current focus (no-op when not focused)
+ */
+function refreshFocusStubs(cy, opts) {
+  const state = getState(cy);
+  const frame = state.focusStack[state.focusStack.length - 1];
+  if (!frame) return;
+  
+  removeFocusStubs(cy);
+  if (opts.focusStubs !== false) buildFocusStubs(cy, cy.$id(frame.rootId), opts);
+}
+
+/**
+ * Show only the contents of a compound
+ * 
+ * Everything outside is hidden (ancestors only become invisible, since
+ * hiding a parent would hide its children too). Nested enter goes deeper
+ * from the current focus. The collapse state and viewport are recorded
+ * so exitFocus can restore them.
+ * 
+ * @returns {boolean} True if focus changed
+ */
+function enterFocus(cy, node, opts) {
+  const state = getState(cy);
+  const current = state.focusStack[state.focusStack.length - 1];
+  
+  if (!node.isParent()) return false;
+  if (current && !node.ancestors().has(cy.$id(current.rootId))) return false;
+  
+  const frame = {
+    rootId: node.id(),
+    viewport: { zoom: cy.zoom(), pan: { ...cy.pan() } },
+    snapshot: snapshotState(cy),
+    hiddenIds: [],
+    ancestorIds: node.ancestors().filter(a => !current || !current.ancestorIds.includes(a.id())).map(a => a.id())
+  };
+  
+  if (state.collapsedIds.has(node.id()) && !expand(cy, node, opts)) return false;
+  
+  removeFocusStubs(cy);
+  state.focusStack.push(frame);
+  
+  frame.ancestorIds.forEach(id => {
+    cy.$id(id).addClass('cy-compound-focus-ancestor').style('visibility', 'hidden');
+  });
+  cy.elements().forEach(ele => {
+    if (frame.ancestorIds.includes(ele.id()) || node.ancestors().has(ele)) return;
+    if (isFocusedOut(cy, ele) && !isHiddenEle(cy, ele)) {
+      hideElement(cy, ele);
+      frame.hiddenIds.push(ele.id());
+    }
+  });
+  
+  refreshFocusStubs(cy, opts);
+  
+  if (cy.container() && opts.fit !== false) {
+    cy.fit(cy.elements().filter(ele => !isHiddenEle(cy, ele)), opts.padding || 30);
+  }
+  
+  cy.emit('compoundmanager.enter', { node });
+  return true;
+}
+
+/**
+ * Leave the current focus, restoring collapse state and viewport
+ * 
+ * @returns {boolean} True if there was a focus to leave
+ */
+function exitFocus(cy, opts) {
+  const state = getState(cy);
+  const frame = state.focusStack.pop();
+  if (!frame) return false;
+  
+  removeFocusStubs(cy);
+  frame.ancestorIds.forEach(id => {
+    cy.$id(id).removeClass('cy-compound-focus-ancestor').removeStyle('visibility');
+  });
+  frame.hiddenIds.forEach(id => {
+    const ele = cy.$id(id);
+    if (ele.nonempty()) showElement(cy, ele);
+  });
+  
+  restoreState(cy, frame.snapshot, opts);
+  refreshFocusStubs(cy, opts);
+  cy.viewport(frame.viewport);
+  
+  cy.emit('compoundmanager.exit', { node: cy.$id(frame.rootId) });
+  return true;
+}
+
+// ============================================
+// LEVEL OF DETAIL (semantic zoom)
+// ============================================
+
+/**
+ * Extent of a compound's contents in model coordinates
+ * 
+ * Measured from descendant positions: live ones while expanded, saved local
+ * ones while collapsed (so it works in headless mode and for hidden contents).
+ * 
+ * @returns {Object} { width, height } between descendant centers, plus the
+ *   largest descendant size { childWidth, childHeight }
+ */
+function contentExtent(cy, node) {
+  const state = getState(cy);
+  const points = [];
+  
+  if (state.collapsedIds.has(node.id())) {
+    const positions = state.savedPositionsMap.get(node.id());
+    if (positions) positions.forEach(({ lx, ly }) => points.push({ x: lx, y: ly }));
+  } else {
+    node.descendants().forEach(d => points.push(d.position()));
+  }
+  
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  points.forEach(({ x, y }) => {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  });
+  
+  // Leave room for the descendants' own size
+  let childWidth = 0, childHeight = 0;
+  node.descendants().forEach(d => {
+    childWidth = Math.max(childWidth, d.width());
+    childHeight = Math.max(childHeight, d.height());
+  });
+  
+  return {
+    width: points.length ? maxX - minX : 0,
+    height: points.length ? maxY - minY : 0,
+    childWidth,
+    childHeight
+  };
+}
+
+/**
+ * Rendered size of a compound's contents at the current zoom (larger side)
+ * 
+ * Both collapsed and expanded states use the same metric (contentExtent),
+ * so the hysteresis thresholds compare like with like.
+ */
+function renderedContentSize(cy, node) {
+  const extent = contentExtent(cy, node);
+  return (Math.max(extent.width, extent.height) + Math.max(extent.childWidth, extent.childHeight)) * cy.zoom();
+}
+
+/**
+ * Collapse compounds rendered too small, expand collapsed ones rendered large enough
+ * 
+ * Hysteresis: a compound collapses below lod.collapseBelow and expands only
+ * above lod.expandAbove, so sizes in between leave it as is. Pinned compounds
+ * are skipped, and each compound changes at most once per call.
+ * 
+ * @param {Object} lod - { collapseBelow, expandAbove } in rendered pixels
+ * @returns {number} Number of compounds changed
+ */
+function applyLevelOfDetail(cy, opts, lod) {
+  const state = getState(cy);
+  const changedIds = new Set();
+  
+  // Expanding a compound can uncover collapsed children that qualify too
+  for (let pass = 0; pass < 10; pass++) {
+    const candidates = cy.nodes().filter(n => {
+      return n.isParent() && !isHiddenEle(cy, n) && !state.pinnedIds.has(n.id()) && !changedIds.has(n.id());
+    });
+    
+    const toExpand = candidates.filter(n => {
+      return state.collapsedIds.has(n.id()) && renderedContentSize(cy, n) > lod.expandAbove;
+    });
+    const toCollapse = candidates.filter(n => {
+      return !state.collapsedIds.has(n.id()) && renderedContentSize(cy, n) < lod.collapseBelow;
+    });
+    
+    toExpand.union(toCollapse).forEach(n => changedIds.add(n.id()));
+    const changed = expandNodes(cy, toExpand, opts) + collapseNodes(cy, toCollapse, opts);
+    if (!changed) break;
+  }
+  
+  return changedIds.size;
+}
+
+// ============================================
+// PENDING WORK (idle tracking)
+// ============================================
+
+/**
+ * Track an async operation until it settles
+ * @returns {Promise} The same promise
+ */
+function trackWork(cy, promise) {
+  const state = getState(cy);
+  state.pendingWork.add(promise);
+  const untrack = () => state.pendingWork.delete(promise);
+  promise.then(untrack, untrack);
+  return promise;
+}
+
+/**
+ * Resolve once no tracked work is pending and no node is animating
+ * 
+ * Animations are polled: cytoscape drops the callbacks of stopped animations,
+ * so an interrupted transition would never report completion.
+ */
+async function whenSettled(cy) {
+  const state = getState(cy);
+  
+  for (;;) {
+    if (state.pendingWork.size) {
+      await Promise.allSettled(Array.from(state.pendingWork));
+    } else if (state.transitioningIds.size || cy.nodes().some(n => n.animated())) {
+      await new Promise(resolve => setTimeout(resolve, 16));
+    } else {
+      return;
+    }
+  }
+}
+
+/**
+ * Make a layout the active one, cancelling the layout it supersedes
+ * @param {Function} resolve - Settles the layout's promise when cancelled
+ */
+function startLayout(cy, layout, resolve) {
+  cancelLayout(cy);
+  getState(cy).activeLayout = { layout, resolve };
+}
+
+/**
+ * Mark a layout as finished
+ * @returns {boolean} False if it was superseded (stale) and its result should be dropped
+ */
+function finishLayout(cy, layout) {
+  const state = getState(cy);
+  if (!state.activeLayout || state.activeLayout.layout !== layout) return false;
+  
+  state.activeLayout = null;
+  return true;
+}
+
+/**
+ * Run a layout as the active one, with layoutstart/layoutstop events
+ * 
+ * @param {Object} layout - Cytoscape layout (not yet run)
+ * @param {NodeSingular} [node] - Center of a local layout
+ * @param {Function} onStop - Runs when the layout completes without being superseded
+ * @returns {Promise<boolean>} False if the layout was superseded or failed
+ */
+function runManagedLayout(cy, layout, node, onStop) {
+  return trackWork(cy, new Promise((resolve) => {
+    let settled = false;
+    const finish = (completed) => {
+      if (settled) return;
+      settled = true;
+      cy.emit('compoundmanager.layoutstop', { node, completed });
+      resolve(completed);
+    };
+    
+    layout.one('layoutstop', () => {
+      if (!finishLayout(cy, layout)) return finish(false);
+      
+      onStop();
+      finish(true);
+    });
+    // Worker layouts report progress and function strategies errors;
+    // cytoscape layouts never emit these
+    if (typeof layout.on === 'function') {
+      layout.on('layoutprogress', (evt) => {
+        cy.emit('compoundmanager.layoutprogress', { node, progress: evt.progress });
+      });
+      layout.on('layouterror', (evt) => {
+        finishLayout(cy, layout);
+        cy.emit('compoundmanager.layouterror', { node, error: evt.error });
+        finish(false);
+      });
+    }
+    startLayout(cy, layout, finish);
+    cy.emit('compoundmanager.layoutstart', { node, layout });
+    layout.run();
+  }));
+}
+
+/**
+ * Stop the running layout, if any; its promise resolves to false
+ * 
+ * Resolved here rather than on layoutstop, which not every layout emits when stopped.
+ */
+function cancelLayout(cy) {
+  const state = getState(cy);
+  const active = state.activeLayout;
+  if (!active) return;
+  
+  state.activeLayout = null;
+  active.layout.stop();
+  active.resolve(false);
+}
+
+// ============================================
+// LAYOUT INTEGRATION (Cola)
+// ============================================
+
+/**
+ * Get visible nodes (not hidden by collapse)
+ * @param {Core} cy - Cytoscape instance
+ * @returns {Collection} Visible nodes
+ */
+function getVisibleNodes(cy) {
+  return cy.nodes().filter(n => !isHiddenEle(cy, n));
+}
+
+/**
+ * Get visible nodes that take part in overlap checks
+ * 
+ * Leaves and collapsed compounds (expanded compounds follow their children).
+ * None of these is an ancestor of another: descendants of a collapsed
+ * compound are hidden, so pairs never need an ancestor check.
+ */
+function getOverlapNodes(cy) {
+  return getVisibleNodes(cy).filter(n => !n.isParent() || isCollapsedNode(cy, n));
+}
+
+/**
+ * Check if two bounding boxes overlap
+ * @param {Object} bb1 - First bounding box {x1, y1, x2, y2}
  * @param {Object} bb2 - Second bounding box {x1, y1, x2, y2}
  * @returns {boolean}
  */
@@ -377,15 +1994,12 @@ function boxesOverlap(bb1, bb2) {
 }
 
 /**
- * Calculate overlap between two nodes
- * @param {NodeSingular} n1 
- * @param {NodeSingular} n2 
+ * Calculate overlap between two boxes
+ * @param {Object} bb1 
+ * @param {Object} bb2 
  * @returns {Object|null} Overlap info or null if no overlap
  */
-function calculateOverlap(n1, n2) {
-  const bb1 = n1.boundingBox();
-  const bb2 = n2.boundingBox();
-  
+function calculateOverlap(bb1, bb2) {
   if (!boxesOverlap(bb1, bb2)) return null;
   
   // Calculate overlap amount
@@ -400,14 +2014,46 @@ function calculateOverlap(n1, n2) {
 }
 
 /**
- * Separate two overlapping nodes
- * @param {NodeSingular} n1 
- * @param {NodeSingular} n2 
+ * Check if a node can't be moved by overlap resolution
+ * 
+ * A compound moves with all its descendants, so one locked descendant makes it immovable.
+ */
+function isImmovable(node) {
+  return node.locked() || node.descendants().some(n => n.locked());
+}
+
+/**
+ * Move a node with everything inside it
+ * 
+ * Collapsed compounds are moved by position (which carries their hidden
+ * contents along); expanded compounds are moved child by child.
+ */
+function moveUnit(cy, node, dx, dy) {
+  if (node.isParent() && !isCollapsedNode(cy, node)) {
+    node.children().forEach(child => moveUnit(cy, child, dx, dy));
+    return;
+  }
+  const pos = node.position();
+  node.position({ x: pos.x + dx, y: pos.y + dy });
+}
+
+/**
+ * Separate two overlapping units
+ * 
+ * Each moves half the distance; when one is immovable the other moves all of it.
+ * 
+ * @param {Object} spatial - From indexSiblings
+ * @param {string} id1 
+ * @param {string} id2 
  * @param {Object} overlap - Overlap info from calculateOverlap
  * @param {number} padding - Minimum padding between nodes
+ * @returns {boolean} False if both are immovable
  */
-function separateNodes(n1, n2, overlap, padding = 10) {
+function separateNodes(spatial, id1, id2, overlap, padding = 10) {
   const { overlapX, overlapY, dx, dy } = overlap;
+  const immovable1 = spatial.immovable.has(id1);
+  const immovable2 = spatial.immovable.has(id2);
+  if (immovable1 && immovable2) return false;
   
   // Move in the direction of least overlap
   let moveX = 0, moveY = 0;
@@ -420,134 +2066,268 @@ function separateNodes(n1, n2, overlap, padding = 10) {
     moveY = (overlapY / 2 + padding) * (dy >= 0 ? 1 : -1);
   }
   
-  // Move both nodes half the distance each
-  const pos1 = n1.position();
-  const pos2 = n2.position();
+  const share1 = immovable1 ? 0 : (immovable2 ? 2 : 1);
+  const share2 = immovable2 ? 0 : (immovable1 ? 2 : 1);
+  shiftUnit(spatial, id1, moveX * share1, moveY * share1);
+  shiftUnit(spatial, id2, -moveX * share2, -moveY * share2);
+  return true;
+}
+
+/**
+ * Move an indexed unit and its box
+ */
+function shiftUnit(spatial, id, dx, dy) {
+  if (dx === 0 && dy === 0) return;
+  
+  moveUnit(spatial.cy, spatial.nodes.get(id), dx, dy);
+  const box = spatial.boxes.get(id);
+  const moved = { x1: box.x1 + dx, y1: box.y1 + dy, x2: box.x2 + dx, y2: box.y2 + dy };
+  spatial.boxes.set(id, moved);
+  spatial.index.update(id, moved);
+}
+
+/**
+ * Group visible nodes into sibling sets for overlap resolution
+ * 
+ * Units are leaves, collapsed compounds and expanded compounds; an expanded
+ * compound is one rigid unit among its siblings, with the box of its visible
+ * contents. Sets inside compounds come first (deepest first), so a compound's
+ * box is final before it is placed among its own siblings.
+ * 
+ * @param {Core} cy - Cytoscape instance
+ * @returns {Array<Collection>} Sibling units, top level last
+ */
+function overlapSiblingSets(cy) {
+  const sets = new Map();
+  
+  getVisibleNodes(cy).forEach(n => {
+    if (n.isParent() && !isCollapsedNode(cy, n) && overlapContents(cy, n).empty()) return;
+    const key = n.isChild() ? n.parent().id() : '';
+    if (!sets.has(key)) sets.set(key, []);
+    sets.get(key).push(n);
+  });
+  
+  const compounds = sortByDepth(Array.from(sets.keys()).filter(key => key !== '').map(id => cy.$id(id)), true);
+  const ordered = compounds.map(node => cy.collection(sets.get(node.id())));
+  if (sets.has('')) ordered.push(cy.collection(sets.get('')));
+  return ordered;
+}
+
+/**
+ * Visible leaves and collapsed compounds inside an expanded compound
+ */
+function overlapContents(cy, node) {
+  return node.descendants().filter(n => !isHiddenEle(cy, n) && (!n.isParent() || isCollapsedNode(cy, n)));
+}
+
+/**
+ * Build a spatial index over a set of sibling units
+ * @param {Core} cy - Cytoscape instance
+ * @param {Collection} units - From overlapSiblingSets
+ * @returns {Object} { nodes: id -> node, boxes: id -> box, immovable: Set of ids, index, comparisons }
+ */
+function indexSiblings(cy, units) {
+  const nodes = new Map();
+  const boxes = new Map();
+  const immovable = new Set();
+  
+  units.forEach(n => {
+    const expanded = n.isParent() && !isCollapsedNode(cy, n);
+    nodes.set(n.id(), n);
+    boxes.set(n.id(), expanded ? unionBox(overlapContents(cy, n), 0) : nodeBox(n));
+    if (isImmovable(n)) immovable.add(n.id());
+  });
+  
+  const index = createGridIndex(gridCellSize(Array.from(boxes.values())));
+  boxes.forEach((box, id) => index.insert(id, box));
+  
+  // comparisons counts box tests, reported with overlapsresolved
+  return { cy, nodes, boxes, immovable, index, comparisons: 0 };
+}
+
+/**
+ * Ids of indexed units overlapping the given one
+ * 
+ * Pairs of immovable units are skipped: nothing may move either of them.
+ */
+function overlapsOf(spatial, id) {
+  const box = spatial.boxes.get(id);
+  const immovable = spatial.immovable.has(id);
+  const hits = [];
   
-  n1.position({ x: pos1.x + moveX, y: pos1.y + moveY });
-  n2.position({ x: pos2.x - moveX, y: pos2.y - moveY });
+  spatial.index.query(box).forEach(otherId => {
+    if (otherId === id || (immovable && spatial.immovable.has(otherId))) return;
+    spatial.comparisons++;
+    if (boxesOverlap(box, spatial.boxes.get(otherId))) hits.push(otherId);
+  });
+  return hits;
+}
+
+/**
+ * Ids of a region's nodes, their descendants and ancestors, or null for everything
+ * 
+ * Ancestors are included so moving a region's compound among its siblings counts too.
+ */
+function regionIdSet(region) {
+  if (!region) return null;
+  const nodes = region.union(region.descendants()).union(region.ancestors());
+  return new Set(nodes.map(n => n.id()));
+}
+
+/**
+ * Ids of indexed units in a region
+ */
+function unitsIn(spatial, regionSet) {
+  const ids = Array.from(spatial.nodes.keys());
+  return regionSet ? ids.filter(id => regionSet.has(id)) : ids;
 }
 
 /**
  * Check if any visible nodes overlap
+ * 
+ * Siblings are compared as units, so a node inside another compound's box
+ * counts as an overlap. Overlaps between locked nodes are ignored.
+ * 
  * @param {Core} cy - Cytoscape instance
+ * @param {Collection} [region] - Only check overlaps involving these nodes
  * @returns {boolean}
  */
-function hasOverlaps(cy) {
-  const visibleNodes = getVisibleNodes(cy).filter(n => !n.isParent());
-  const nodes = visibleNodes.toArray();
+function hasOverlaps(cy, region) {
+  const regionSet = regionIdSet(region);
   
-  for (let i = 0; i < nodes.length; i++) {
-    for (let j = i + 1; j < nodes.length; j++) {
-      // Skip if one is ancestor of another
-      if (nodes[i].ancestors().has(nodes[j]) || nodes[j].ancestors().has(nodes[i])) continue;
-      
-      if (calculateOverlap(nodes[i], nodes[j])) return true;
-    }
-  }
-  return false;
+  return overlapSiblingSets(cy).some(units => {
+    const spatial = indexSiblings(cy, units);
+    return unitsIn(spatial, regionSet).some(id => overlapsOf(spatial, id).length > 0);
+  });
 }
 
 /**
  * Resolve overlaps between visible nodes
  * Per spec 4.2: No overlaps between visible nodes
  * 
+ * Siblings are separated as rigid units: an expanded compound moves with all
+ * its descendants, which keeps non-members out of its box. Locked nodes (and
+ * compounds holding one) stay; the other node of a pair moves the full distance.
+ * 
+ * Each iteration only revisits units moved in the previous one, starting
+ * from the region (all units without one). Nodes outside the region move
+ * only when something pushed from inside reaches them.
+ * 
  * @param {Core} cy - Cytoscape instance
  * @param {Object} opts - Options
+ * @param {Collection} [region] - Nodes changed by a local operation
  * @returns {boolean} True if all overlaps resolved
  */
-function resolveOverlaps(cy, opts = {}) {
+function resolveOverlaps(cy, opts = {}, region) {
   const maxIterations = opts.maxIterations || 50;
   const padding = opts.overlapPadding || 10;
+  const regionSet = regionIdSet(region);
   
   let iterations = 0;
-  let hasOverlap = true;
-  
-  while (hasOverlap && iterations < maxIterations) {
-    hasOverlap = false;
-    iterations++;
-    
-    const visibleNodes = getVisibleNodes(cy).filter(n => !n.isParent());
-    const nodes = visibleNodes.toArray();
-    
-    for (let i = 0; i < nodes.length; i++) {
-      for (let j = i + 1; j < nodes.length; j++) {
-        // Skip if one is ancestor of another (compound parent-child)
-        if (nodes[i].ancestors().has(nodes[j]) || nodes[j].ancestors().has(nodes[i])) continue;
-        
-        const overlap = calculateOverlap(nodes[i], nodes[j]);
-        if (overlap) {
-          separateNodes(nodes[i], nodes[j], overlap, padding);
-          hasOverlap = true;
-        }
-      }
+  let comparisons = 0;
+  let resolved = true;
+  
+  overlapSiblingSets(cy).forEach(units => {
+    const spatial = indexSiblings(cy, units);
+    let dirty = new Set(unitsIn(spatial, regionSet));
+    let passes = 0;
+    
+    while (dirty.size > 0 && passes < maxIterations) {
+      passes++;
+      const moved = new Set();
+      
+      dirty.forEach(id => {
+        overlapsOf(spatial, id).forEach(otherId => {
+          // An earlier separation in this pass may already have cleared the pair
+          const overlap = calculateOverlap(spatial.boxes.get(id), spatial.boxes.get(otherId));
+          if (!overlap || !separateNodes(spatial, id, otherId, overlap, padding)) return;
+          
+          moved.add(id);
+          moved.add(otherId);
+        });
+      });
+      
+      dirty = moved;
     }
-  }
+    
+    iterations = Math.max(iterations, passes);
+    if (Array.from(dirty).some(id => overlapsOf(spatial, id).length > 0)) resolved = false;
+    comparisons += spatial.comparisons;
+  });
   
   // If we hit max iterations, emit warning event (per spec 7.3)
-  if (iterations >= maxIterations && hasOverlaps(cy)) {
+  if (!resolved) {
     cy.emit('compoundmanager.layoutResetRequired', {
       message: 'Layout wymaga ponownego przeliczenia',
       reason: 'overlap_resolution_failed'
     });
+    cy.emit('compoundmanager.overlapsresolved', { resolved: false, iterations, comparisons });
     return false;
   }
   
+  cy.emit('compoundmanager.overlapsresolved', { resolved: true, iterations, comparisons });
   return true;
 }
 
 /**
- * Check if Cola layout is available
- * @param {Core} cy - Cytoscape instance
- * @returns {boolean}
+ * Pick the layout strategy for a global or local layout
+ * 
+ * Global: opts.layout, else cola if the extension is registered, else cose.
+ * Local: opts.localLayout, else cose (more stable with compound nodes;
+ * cola has issues with partial layouts on compound graphs).
+ * 
+ * @returns {string|Function} Strategy name or function (see layouts.js)
  */
-function isColaAvailable(cy) {
-  try {
-    // Try to create layout options - will throw if not available
-    return cy.layout({ name: 'cola', eles: cy.collection() }).options !== undefined;
-  } catch {
-    return false;
-  }
+function chooseLayout(cy, opts, local) {
+  const configured = (local ? opts.localLayout : opts.layout) || opts.layoutName;
+  if (configured) return configured;
+  
+  return !local && isLayoutAvailable(cy, 'cola') ? 'cola' : 'cose';
 }
 
 /**
- * Run Cola layout on visible nodes only
+ * User options for one strategy: opts.layoutOptions[name] (plus opts.colaOptions for cola)
+ */
+function layoutOverrides(opts, strategy) {
+  if (typeof strategy !== 'string') return {};
+  
+  return {
+    ...(strategy === 'cola' ? opts.colaOptions : undefined),
+    ...(opts.layoutOptions && opts.layoutOptions[strategy])
+  };
+}
+
+/**
+ * Run the global layout on visible nodes only
  * Per spec 5.1.2: Hidden children don't participate in layout
  * 
+ * A layout superseded by another one (or cancelled) stops where it is
+ * and skips overlap resolution.
+ * 
  * @param {Core} cy - Cytoscape instance
  * @param {Object} opts - Layout options
- * @returns {Promise} Layout promise
+ * @returns {Promise<boolean>} False if the layout was superseded
  */
 function runLayout(cy, opts = {}) {
   const visibleNodes = getVisibleNodes(cy);
+  const strategy = chooseLayout(cy, opts, false);
   
-  // Use cola if available, otherwise fall back to cose
-  const layoutName = opts.layoutName || (isColaAvailable(cy) ? 'cola' : 'cose');
-  
-  // Build layout options respecting collapsed state
-  const layoutOptions = {
-    name: layoutName,
+  const layout = createLayout(cy, strategy, {
+    // Only layout visible nodes
+    eles: visibleNodes.union(visibleNodes.edgesWith(visibleNodes)),
+    local: false,
     animate: opts.animate !== false,
     animationDuration: opts.animationDuration || 300,
     fit: opts.fit !== false,
     padding: opts.padding || 30,
-    nodeDimensionsIncludeLabels: true,
-    // Only layout visible nodes
-    eles: visibleNodes.union(visibleNodes.edgesWith(visibleNodes)),
-    // Cola-specific options (ignored by cose)
     nodeSpacing: opts.nodeSpacing || 20,
     edgeLength: opts.edgeLength || 100,
-    ...opts.colaOptions
-  };
+    worker: opts.worker
+  }, layoutOverrides(opts, strategy));
   
-  return new Promise((resolve) => {
-    const layout = cy.layout(layoutOptions);
-    layout.on('layoutstop', () => {
-      // Resolve any remaining overlaps
-      resolveOverlaps(cy, opts);
-      resolve();
-    });
-    layout.run();
+  return runManagedLayout(cy, layout, undefined, () => {
+    // Resolve any remaining overlaps
+    resolveOverlaps(cy, opts);
   });
 }
 
@@ -559,9 +2339,11 @@ function runLayout(cy, opts = {}) {
  * @param {Core} cy - Cytoscape instance
  * @param {NodeSingular} node - Center node for local layout
  * @param {Object} opts - Layout options
- * @returns {Promise}
+ * @returns {Promise<boolean>} False if the layout was superseded
  */
 function runLocalLayout(cy, node, opts = {}) {
+  if (opts.incremental) return runIncrementalLayout(cy, node, opts);
+  
   // Get nodes in neighborhood (1-2 hops)
   const neighborhood = node.neighborhood().nodes().filter(n => !isHiddenEle(cy, n));
   let affectedNodes = node.union(neighborhood);
@@ -574,8 +2356,8 @@ function runLocalLayout(cy, node, opts = {}) {
   
   if (affectedNodes.length < 2) {
     // Just resolve overlaps, no layout needed
-    resolveOverlaps(cy, opts);
-    return Promise.resolve();
+    resolveOverlaps(cy, opts, affectedNodes);
+    return Promise.resolve(true);
   }
   
   // Store original positions of unaffected nodes
@@ -585,58 +2367,338 @@ function runLocalLayout(cy, node, opts = {}) {
     originalPositions.set(n.id(), { ...n.position() });
   });
   
-  // Use cose for local layout (more stable with compound nodes)
-  // Cola has issues with partial layouts on compound graphs
-  const layoutName = opts.layoutName || 'cose';
+  const strategy = chooseLayout(cy, opts, true);
+  const layout = createLayout(cy, strategy, {
+    eles: affectedNodes.union(affectedNodes.edgesWith(affectedNodes)),
+    local: true,
+    node,
+    animate: opts.animate !== false,
+    animationDuration: opts.animationDuration || 200,
+    fit: false, // Don't fit for local layout
+    padding: opts.padding || 30,
+    nodeSpacing: opts.nodeSpacing || 15,
+    edgeLength: opts.edgeLength || 100,
+    worker: opts.worker
+  }, layoutOverrides(opts, strategy));
+  
+  return runManagedLayout(cy, layout, node, () => {
+    // Restore positions of unaffected nodes (locality)
+    unaffectedNodes.forEach(n => {
+      const pos = originalPositions.get(n.id());
+      if (pos) n.position(pos);
+    });
+    
+    // Resolve remaining overlaps around the laid out nodes
+    resolveOverlaps(cy, opts, affectedNodes);
+  });
+}
+
+/**
+ * Incremental local layout (opts.incremental)
+ * 
+ * Only the compound's visible contents are laid out. Their neighbors take part
+ * as fixed inputs (locked, so no layout can move them). Afterwards nodes outside
+ * are pushed radially out of the compound's box, each by at most
+ * maxDisplacement, and nothing else moves. Nodes the user locked are never pushed.
+ * 
+ * @param {Object} opts.incremental - true or { maxDisplacement: 150, spacing: 20 }
+ * @returns {Promise<boolean>} False if the layout was superseded
+ */
+function runIncrementalLayout(cy, node, opts) {
+  const config = {
+    maxDisplacement: 150,
+    spacing: 20,
+    ...(typeof opts.incremental === 'object' ? opts.incremental : {})
+  };
+  
+  const subtree = node.union(node.descendants()).filter(n => !isHiddenEle(cy, n));
+  const makeRoom = () => pushOutOfBox(cy, node, subtree, config);
+  
+  // A collapsed node has nothing to lay out
+  if (subtree.length < 2) {
+    makeRoom();
+    return Promise.resolve(true);
+  }
+  
+  const neighbors = subtree.neighborhood().nodes().filter(n => !isHiddenEle(cy, n) && !subtree.has(n));
+  const fixed = neighbors.filter(n => !isUserLocked(cy, n));
+  const affected = subtree.union(neighbors);
+  
+  const strategy = chooseLayout(cy, opts, true);
+  const layout = createLayout(cy, strategy, {
+    eles: affected.union(affected.edgesWith(affected)),
+    local: true,
+    node,
+    fixed: neighbors,
+    animate: opts.animate !== false,
+    animationDuration: opts.animationDuration || 200,
+    fit: false,
+    padding: opts.padding || 30,
+    nodeSpacing: opts.nodeSpacing || 15,
+    edgeLength: opts.edgeLength || 100,
+    worker: opts.worker
+  }, layoutOverrides(opts, strategy));
+  
+  lockForLayout(cy, fixed);
+  let locked = true;
+  const unlock = () => {
+    if (locked) unlockForLayout(cy, fixed);
+    locked = false;
+  };
+  const run = runManagedLayout(cy, layout, node, () => {
+    unlock();
+    makeRoom();
+  });
+  // Superseded layouts skip onStop; the lock must not outlive them
+  run.then(unlock);
+  return run;
+}
+
+/**
+ * Check if a node was locked by the user rather than by a running incremental layout
+ */
+function isUserLocked(cy, node) {
+  return node.locked() && !getState(cy).layoutLocks.has(node.id());
+}
+
+/**
+ * Lock nodes for the duration of a layout
+ * 
+ * Locks are counted per node: overlapping incremental layouts may fix the
+ * same neighbors, and the first to finish must not release the others' locks.
+ */
+function lockForLayout(cy, nodes) {
+  const locks = getState(cy).layoutLocks;
+  nodes.forEach(n => {
+    locks.set(n.id(), (locks.get(n.id()) || 0) + 1);
+    n.lock();
+  });
+}
+
+/**
+ * Release locks taken by lockForLayout; a node unlocks with its last lock
+ */
+function unlockForLayout(cy, nodes) {
+  const locks = getState(cy).layoutLocks;
+  nodes.forEach(n => {
+    const count = (locks.get(n.id()) || 0) - 1;
+    if (count > 0) {
+      locks.set(n.id(), count);
+      return;
+    }
+    locks.delete(n.id());
+    n.unlock();
+  });
+}
+
+/**
+ * Push nodes outside a compound out of its box
+ * 
+ * Nodes move in rigid units: everything under the outermost ancestor that does
+ * not contain the compound moves together, so other compounds keep their shape.
+ * Each unit moves radially away from the compound's center, by the distance
+ * that clears the box (plus spacing), capped at maxDisplacement. Units holding
+ * a node the user locked stay where they are.
+ * 
+ * @param {Collection} subtree - The compound and its visible descendants
+ */
+function pushOutOfBox(cy, node, subtree, { maxDisplacement, spacing }) {
+  const members = getOverlapNodes(cy).filter(n => subtree.has(n));
+  const box = unionBox(members.length ? members : node, spacing);
+  const center = { x: (box.x1 + box.x2) / 2, y: (box.y1 + box.y2) / 2 };
   
-  const layoutOptions = {
-    name: layoutName,
-    animate: opts.animate !== false,
-    animationDuration: opts.animationDuration || 200,
-    fit: false, // Don't fit for local layout
-    eles: affectedNodes.union(affectedNodes.edgesWith(affectedNodes)),
-    nodeSpacing: opts.nodeSpacing || 15,
-    nodeRepulsion: 4000,
-    ...opts.colaOptions
-  };
+  const units = new Map();
+  const nodeAncestors = node.ancestors();
+  getOverlapNodes(cy).forEach(n => {
+    if (subtree.has(n) || nodeAncestors.has(n)) return;
+    
+    // ancestors() is nearest-first; the last one not holding the compound is the unit
+    const outer = n.ancestors().filter(a => !nodeAncestors.has(a));
+    const root = outer.length ? outer[outer.length - 1] : n;
+    if (!units.has(root.id())) units.set(root.id(), []);
+    units.get(root.id()).push(n);
+  });
   
-  return new Promise((resolve) => {
-    const layout = cy.layout(layoutOptions);
-    layout.on('layoutstop', () => {
-      // Restore positions of unaffected nodes (locality)
-      unaffectedNodes.forEach(n => {
-        const pos = originalPositions.get(n.id());
-        if (pos) n.position(pos);
-      });
-      
-      // Resolve any remaining overlaps
-      resolveOverlaps(cy, opts);
-      resolve();
+  units.forEach(unit => {
+    if (unit.some(n => n.union(n.descendants()).some(d => isUserLocked(cy, d)))) return;
+    
+    const unitBox = unionBox(cy.collection(unit), 0);
+    if (!boxesOverlap(unitBox, box)) return;
+    
+    // Direction away from the compound center
+    let dx = (unitBox.x1 + unitBox.x2) / 2 - center.x;
+    let dy = (unitBox.y1 + unitBox.y2) / 2 - center.y;
+    const length = Math.hypot(dx, dy);
+    if (length === 0) {
+      dx = 1;
+      dy = 0;
+    } else {
+      dx /= length;
+      dy /= length;
+    }
+    
+    // Distance along the direction until the unit clears the box on either axis
+    const clearX = dx === 0 ? Infinity : (dx > 0 ? box.x2 - unitBox.x1 : unitBox.x2 - box.x1) / Math.abs(dx);
+    const clearY = dy === 0 ? Infinity : (dy > 0 ? box.y2 - unitBox.y1 : unitBox.y2 - box.y1) / Math.abs(dy);
+    const distance = Math.min(clearX, clearY, maxDisplacement);
+    
+    unit.forEach(n => {
+      const pos = n.position();
+      n.position({ x: pos.x + dx * distance, y: pos.y + dy * distance });
     });
-    layout.run();
   });
 }
 
+/**
+ * Bounding box around several nodes (collapsed ones at their collapsed size)
+ */
+function unionBox(nodes, margin) {
+  const box = { x1: Infinity, y1: Infinity, x2: -Infinity, y2: -Infinity };
+  nodes.forEach(n => {
+    const bb = nodeBox(n);
+    box.x1 = Math.min(box.x1, bb.x1 - margin);
+    box.y1 = Math.min(box.y1, bb.y1 - margin);
+    box.x2 = Math.max(box.x2, bb.x2 + margin);
+    box.y2 = Math.max(box.y2, bb.y2 + margin);
+  });
+  return box;
+}
+
 // ============================================
 // PUBLIC API
 // ============================================
 
+/**
+ * Remove the cy event listeners of this cy's manager
+ * 
+ * One set of listeners is kept per cy: a manager created again on the
+ * same instance replaces the previous one's listeners.
+ */
+function releaseListeners(cy) {
+  const state = getState(cy);
+  state.listeners.forEach(args => cy.removeListener(...args));
+  state.listeners = [];
+}
+
 /**
  * Create the compound manager API
  */
 export function createCore(cy, opts) {
+  validateCollapsedSize(opts);
+  releaseListeners(cy);
+  const listen = (...args) => {
+    cy.on(...args);
+    getState(cy).listeners.push(args);
+  };
+  
   // Create debounced layout function (per spec 8.4)
-  const debouncedLayout = debounce((node) => {
-    if (node) {
-      runLocalLayout(cy, node, opts);
-    } else {
-      runLayout(cy, opts);
-    }
+  // A scheduled layout counts as pending work from the moment it is requested
+  let scheduled = null;
+  const runScheduledLayout = debounce((node) => {
+    const done = scheduled.resolve;
+    scheduled = null;
+    (node ? runLocalLayout(cy, node, opts) : runLayout(cy, opts)).then(done, done);
   }, opts.layoutDebounce || 100);
   
+  const debouncedLayout = (node) => {
+    // A running layout is stale once the graph changes again
+    cancelLayout(cy);
+    if (!scheduled) {
+      scheduled = {};
+      trackWork(cy, new Promise(resolve => { scheduled.resolve = resolve; }));
+    }
+    runScheduledLayout(node);
+  };
+  
+  // Drop a scheduled layout that has not started yet
+  const cancelScheduledLayout = () => {
+    runScheduledLayout.cancel();
+    if (!scheduled) return;
+    
+    const done = scheduled.resolve;
+    scheduled = null;
+    done(false);
+  };
+  
   // Track if auto-layout is enabled (default: false to avoid issues without Cola)
   let autoLayout = opts.autoLayout === true;
   
+  // Bundled styles go first so the user's own rules override them
+  if (opts.defaultStylesheet && cy.styleEnabled()) {
+    cy.style().fromJson([...defaultStylesheet, ...cy.style().json()]).update();
+  }
+  
+  // Compounds marked data.unloaded start collapsed (see opts.loadChildren)
+  cy.nodes().filter(isUnloaded).forEach(n => markUnloaded(cy, n));
+  
+  // Keep collapsed node summaries in sync with their hidden children
+  listen('data', 'node', (evt) => onNodeData(cy, evt.target, opts));
+  
+  // Keep collapse state consistent with elements added, removed or reparented later
+  listen('add', (evt) => onElementAdded(cy, evt.target, opts));
+  listen('remove', (evt) => forgetElement(cy, evt.target, opts));
+  listen('move', (evt) => onElementMoved(cy, evt.target, opts));
+  
+  // Bundle parallel edges already in the graph (see opts.bundleEdges)
+  if (opts.bundleEdges) updateProjections(cy, cy.edges(), opts);
+  
+  // Undo/redo of collapse, expand and layout operations
+  const history = createHistory(cy, {
+    capture: () => captureSnapshot(cy),
+    apply: (snapshot) => {
+      cancelScheduledLayout();
+      applySnapshot(cy, snapshot, opts);
+    },
+    depth: opts.undoDepth !== undefined ? opts.undoDepth : 50
+  });
+  // Lazy loading expands once the children arrive, outside any API call
+  getState(cy).recordHistory = fn => history.record(fn);
+  
+  // Semantic zoom: auto collapse/expand by rendered size (off unless configured)
+  let levelOfDetail = Boolean(opts.levelOfDetail);
+  const lod = {
+    collapseBelow: 40,
+    expandAbove: 80,
+    debounce: 150,
+    ...(typeof opts.levelOfDetail === 'object' ? opts.levelOfDetail : {})
+  };
+  
+  const updateLevelOfDetail = () => {
+    let changed = 0;
+    cy.batch(() => {
+      changed = applyLevelOfDetail(cy, opts, lod);
+    });
+    if (changed && autoLayout) {
+      debouncedLayout();
+    }
+  };
+  const debouncedLevelOfDetail = debounce(() => {
+    if (levelOfDetail) updateLevelOfDetail();
+  }, lod.debounce);
+  
+  listen('zoom', debouncedLevelOfDetail);
+  
+  // Lazily loaded compounds expand asynchronously; lay them out once loaded
+  listen('compoundmanager.loaded', (evt, { node }) => {
+    if (autoLayout) debouncedLayout(node);
+  });
+  
+  /**
+   * Run a bulk operation as one undo step, one render batch and one layout pass
+   * @param {Function} fn - Returns the number of nodes changed
+   */
+  function applyBatch(fn) {
+    history.record(() => {
+      let changed = 0;
+      cy.batch(() => {
+        changed = fn();
+      });
+      if (changed && autoLayout) {
+        debouncedLayout();
+      }
+    });
+  }
+  
   return {
     /**
      * Collapse nodes
@@ -644,11 +2706,13 @@ export function createCore(cy, opts) {
      */
     collapse(nodes) {
       const nodeList = nodes.toArray ? nodes.toArray() : [nodes];
-      nodeList.forEach(node => {
-        const collapsed = collapse(cy, node, opts);
-        if (collapsed && autoLayout) {
-          debouncedLayout(node);
-        }
+      history.record(() => {
+        nodeList.forEach(node => {
+          const collapsed = collapse(cy, node, opts);
+          if (collapsed && autoLayout) {
+            debouncedLayout(node);
+          }
+        });
       });
       return this;
     },
@@ -659,11 +2723,13 @@ export function createCore(cy, opts) {
      */
     expand(nodes) {
       const nodeList = nodes.toArray ? nodes.toArray() : [nodes];
-      nodeList.forEach(node => {
-        const expanded = expand(cy, node, opts);
-        if (expanded && autoLayout) {
-          debouncedLayout(node);
-        }
+      history.record(() => {
+        nodeList.forEach(node => {
+          const expanded = expand(cy, node, opts);
+          if (expanded && autoLayout) {
+            debouncedLayout(node);
+          }
+        });
       });
       return this;
     },
@@ -677,6 +2743,15 @@ export function createCore(cy, opts) {
       return isCollapsedNode(cy, node);
     },
     
+    /**
+     * Check if a compound's children are being loaded
+     * @param {NodeSingular} node
+     * @returns {boolean}
+     */
+    isLoading(node) {
+      return getState(cy).loadingMap.has(node.id());
+    },
+    
     /**
      * Check if element is hidden
      * @param {NodeSingular|EdgeSingular} ele
@@ -686,18 +2761,39 @@ export function createCore(cy, opts) {
       return isHiddenEle(cy, ele);
     },
     
+    /**
+     * Expand the collapsed ancestors needed to make an element visible
+     * @param {NodeSingular|EdgeSingular} ele
+     * @param {Object} [options]
+     * @param {boolean} [options.collapseSiblings=false] - Collapse compounds beside the revealed path
+     */
+    reveal(ele, options) {
+      history.record(() => {
+        const expanded = revealElement(cy, ele, opts, options);
+        if (expanded.length && autoLayout) {
+          debouncedLayout(expanded[expanded.length - 1]);
+        }
+      });
+      return this;
+    },
+    
+    /**
+     * Get the visible element standing in for a (possibly hidden) one
+     * @param {NodeSingular|EdgeSingular} ele
+     * @returns {NodeSingular|EdgeSingular}
+     */
+    visibleRepresentative(ele) {
+      return representativeOf(cy, ele);
+    },
+    
     /**
      * Collapse all compound nodes (bottom-up: leaves first)
      */
     collapseAll() {
-      // Sort by depth (deepest first) to collapse leaves before parents
-      const compounds = cy.nodes().filter(n => n.isParent()).toArray();
-      compounds.sort((a, b) => {
-        const depthA = a.ancestors().length;
-        const depthB = b.ancestors().length;
-        return depthB - depthA; // Deeper nodes first
+      // Deepest first to collapse leaves before parents
+      history.record(() => {
+        collapseNodes(cy, cy.nodes().filter(n => n.isParent()), opts);
       });
-      compounds.forEach(n => collapse(cy, n, opts));
       return this;
     },
     
@@ -705,10 +2801,96 @@ export function createCore(cy, opts) {
      * Expand all collapsed nodes
      */
     expandAll() {
-      cy.nodes().filter(n => isCollapsedNode(cy, n)).forEach(n => expand(cy, n, opts));
+      history.record(() => {
+        cy.nodes().filter(n => isCollapsedNode(cy, n)).forEach(n => expand(cy, n, opts));
+      });
+      return this;
+    },
+    
+    /**
+     * Collapse every compound at the given depth or deeper (top level = 0)
+     * so nothing below that depth stays visible
+     * @param {number} depth
+     */
+    collapseToDepth(depth) {
+      return this.collapseWhere(n => n.ancestors().length >= depth);
+    },
+    
+    /**
+     * Expand every collapsed compound above the given depth (top level = 0)
+     * so levels 0..depth are visible; deeper collapsed state is kept
+     * @param {number} depth
+     */
+    expandToDepth(depth) {
+      applyBatch(() => expandNodes(cy, cy.nodes().filter(n => {
+        return isCollapsedNode(cy, n) && n.ancestors().length < depth;
+      }), opts));
       return this;
     },
     
+    /**
+     * Collapse every compound matching a predicate
+     * @param {Function} predicate - (node) => boolean
+     */
+    collapseWhere(predicate) {
+      applyBatch(() => collapseNodes(cy, cy.nodes().filter(n => n.isParent() && predicate(n)), opts));
+      return this;
+    },
+
+    /**
+     * Move nodes into new compounds by key, e.g. hosts by datacenter
+     * Not recorded in undo history (structural change)
+     * @param {Collection} nodes
+     * @param {Function} keyFn - (node) => key; null/undefined leaves the node in place
+     * @param {Object} [options]
+     * @param {boolean} [options.collapse=false] - Collapse the groups
+     * @returns {Collection} The groups
+     */
+    groupBy(nodes, keyFn, options) {
+      let groups = cy.collection();
+      cy.batch(() => {
+        groups = groupNodes(cy, nodes, keyFn, opts, options);
+      });
+      if (groups.nonempty() && autoLayout) debouncedLayout();
+      return groups;
+    },
+    
+    /**
+     * Dissolve compounds, keeping child positions; children move to the parent's parent
+     * @param {NodeSingular|Collection} nodes
+     * @returns {Collection} The children that were moved
+     */
+    ungroup(nodes) {
+      let children = cy.collection();
+      cy.batch(() => {
+        nodes.forEach(n => {
+          children = children.union(ungroupNode(cy, n, opts));
+        });
+      });
+      if (children.nonempty() && autoLayout) debouncedLayout();
+      return children;
+    },
+    
+    /**
+     * Switch the grouping key: dissolve groups and group their members again
+     * @param {Collection} [groups] - Default: every group created by groupBy
+     * @param {Function} keyFn - (node) => key
+     * @param {Object} [options] - As for groupBy; collapse defaults to whether all dissolved groups were collapsed
+     * @returns {Collection} The new groups
+     */
+    regroup(groups, keyFn, options) {
+      if (typeof groups === 'function') {
+        [groups, keyFn, options] = [undefined, groups, keyFn];
+      }
+      let created = cy.collection();
+      cy.batch(() => {
+        const targets = groups || cy.nodes().filter(n => n.data('_groupBy'));
+        created = regroupNodes(cy, targets, keyFn, opts, options);
+      });
+      if (created.nonempty() && autoLayout) debouncedLayout();
+      return created;
+    },
+    
     /**
      * Get all collapsed nodes
      * @returns {Collection}
@@ -723,10 +2905,44 @@ export function createCore(cy, opts) {
      * @returns {Array}
      */
     getProjectedEdges(node) {
-      const state = getState(cy);
-      const data = state.projectionEdgesMap.get(node.id());
-      if (!data) return [];
-      return data.projIds.map(id => cy.$id(id)).filter(e => e.nonempty());
+      return getProjectionsOf(cy, node);
+    },
+    
+    /**
+     * Get original edges represented by a projection edge
+     * @param {EdgeSingular} projection
+     * @returns {Collection}
+     */
+    getOriginalEdges(projection) {
+      return collectionOf(cy, projection.data('originalIds') || []);
+    },
+    
+    /**
+     * Get a JSON-serializable snapshot of the collapse state
+     * @returns {Object}
+     */
+    getState() {
+      return snapshotState(cy);
+    },
+    
+    /**
+     * Export the graph as displayed: visible nodes, visible edges and projections
+     * @param {Object} [options]
+     * @param {string} [options.format='json'] - 'json' (cytoscape JSON object), 'graphml' or 'dot' (text)
+     * @returns {Object|string}
+     */
+    exportVisible({ format = 'json' } = {}) {
+      return exportView(visibleView(cy), format);
+    },
+    
+    /**
+     * Re-apply a snapshot from getState()
+     * Elements added or removed since the snapshot are tolerated
+     * @param {Object} snapshot
+     */
+    setState(snapshot) {
+      restoreState(cy, snapshot, opts);
+      return this;
     },
     
     // ============================================
@@ -734,39 +2950,45 @@ export function createCore(cy, opts) {
     // ============================================
     
     /**
-     * Run full Cola layout on visible nodes
+     * Run full layout on visible nodes
      * Per spec 5.1.2: Hidden children don't participate
+     * @param {string|Function} [layout] - Strategy for this run (default: opts.layout)
      * @returns {Promise}
      */
-    runLayout() {
-      return runLayout(cy, opts);
+    runLayout(layout) {
+      const runOpts = layout ? { ...opts, layout } : opts;
+      return history.recordAsync(() => runLayout(cy, runOpts));
     },
     
     /**
      * Run local layout around a specific node
      * Per spec 5.2.3: Local layout adjustments
      * @param {NodeSingular} node - Center node
+     * @param {string|Function} [layout] - Strategy for this run (default: opts.localLayout)
      * @returns {Promise}
      */
-    runLocalLayout(node) {
-      return runLocalLayout(cy, node, opts);
+    runLocalLayout(node, layout) {
+      const runOpts = layout ? { ...opts, localLayout: layout } : opts;
+      return history.recordAsync(() => runLocalLayout(cy, node, runOpts));
     },
     
     /**
      * Resolve any overlapping nodes
      * Per spec 4.2: No overlaps between visible nodes
+     * @param {Collection} [region] - Start from these nodes (and their descendants) only
      * @returns {boolean} True if all overlaps resolved
      */
-    resolveOverlaps() {
-      return resolveOverlaps(cy, opts);
+    resolveOverlaps(region) {
+      return history.record(() => resolveOverlaps(cy, opts, region));
     },
     
     /**
      * Check if any visible nodes overlap
+     * @param {Collection} [region] - Only check overlaps involving these nodes
      * @returns {boolean}
      */
-    hasOverlaps() {
-      return hasOverlaps(cy);
+    hasOverlaps(region) {
+      return hasOverlaps(cy, region);
     },
     
     /**
@@ -784,6 +3006,218 @@ export function createCore(cy, opts) {
      */
     isAutoLayoutEnabled() {
       return autoLayout;
+    },
+    
+    /**
+     * Resolve once the graph has settled: animations, scheduled and running
+     * layouts (with overlap resolution) and child loading have all finished
+     * 
+     * Chainable after any operation: await api.expand(node).whenIdle()
+     * @returns {Promise}
+     */
+    whenIdle() {
+      return whenSettled(cy);
+    },
+    
+    // ============================================
+    // FOCUS API
+    // ============================================
+    
+    /**
+     * Drill down: show only the contents of a compound
+     * While focused, enter only goes deeper (into a descendant)
+     * @param {NodeSingular} node
+     */
+    enter(node) {
+      enterFocus(cy, node, opts);
+      return this;
+    },
+    
+    /**
+     * Go back up one level, restoring collapse state and viewport
+     */
+    exit() {
+      exitFocus(cy, opts);
+      return this;
+    },
+    
+    /**
+     * Get the breadcrumb trail of entered compounds, outermost first
+     * @returns {Array} Nodes
+     */
+    focusPath() {
+      return getState(cy).focusStack.map(frame => cy.$id(frame.rootId));
+    },
+    
+    // ============================================
+    // LEVEL OF DETAIL API
+    // ============================================
+    
+    /**
+     * Enable/disable zoom-driven automatic collapse/expand
+     * Enabling applies it to the current zoom right away
+     * @param {boolean} enabled
+     */
+    setLevelOfDetail(enabled) {
+      levelOfDetail = enabled;
+      if (enabled) updateLevelOfDetail();
+      return this;
+    },
+    
+    /**
+     * Check if level-of-detail mode is enabled
+     * @returns {boolean}
+     */
+    isLevelOfDetailEnabled() {
+      return levelOfDetail;
+    },
+    
+    /**
+     * Pin compounds in their current state; level of detail leaves them alone
+     * @param {Collection} nodes
+     */
+    pin(nodes) {
+      const state = getState(cy);
+      (nodes.toArray ? nodes.toArray() : [nodes]).forEach(n => state.pinnedIds.add(n.id()));
+      return this;
+    },
+    
+    /**
+     * Release pinned compounds
+     * @param {Collection} nodes
+     */
+    unpin(nodes) {
+      const state = getState(cy);
+      (nodes.toArray ? nodes.toArray() : [nodes]).forEach(n => state.pinnedIds.delete(n.id()));
+      return this;
+    },
+    
+    /**
+     * Check if a compound is pinned
+     * @param {NodeSingular} node
+     * @returns {boolean}
+     */
+    isPinned(node) {
+      return getState(cy).pinnedIds.has(node.id());
+    },
+    
+    // ============================================
+    // EDGE BUNDLING API
+    // ============================================
+    
+    /**
+     * Enable/disable bundling of parallel edges between visible nodes
+     * @param {boolean|Object} enabled - true, false or { minEdges }
+     */
+    setEdgeBundling(enabled) {
+      opts.bundleEdges = enabled;
+      if (!enabled) getState(cy).expandedBundles.clear();
+      cy.batch(() => updateProjections(cy, cy.edges(), opts));
+      return this;
+    },
+    
+    /**
+     * Check if edge bundling is enabled
+     * @returns {boolean}
+     */
+    isEdgeBundlingEnabled() {
+      return Boolean(opts.bundleEdges);
+    },
+    
+    /**
+     * Show the parallel edges behind bundles; they stay unbundled until collapseEdges
+     * @param {EdgeSingular|Collection} bundles - Projection edges
+     */
+    expandEdges(bundles) {
+      const state = getState(cy);
+      cy.batch(() => {
+        bundles.filter(e => e.data('_isProjection')).forEach(bundle => {
+          state.expandedBundles.add(projectionKey(bundle.data('source'), bundle.data('target')));
+          updateProjections(cy, collectionOf(cy, bundle.data('originalIds')), opts);
+        });
+      });
+      return this;
+    },
+    
+    /**
+     * Bundle parallel edges again after expandEdges
+     * @param {Collection} edges - Any of the parallel edges
+     */
+    collapseEdges(edges) {
+      const state = getState(cy);
+      cy.batch(() => {
+        edges.forEach(edge => {
+          state.expandedBundles.delete(projectionKey(edge.data('source'), edge.data('target')));
+        });
+        updateProjections(cy, edges, opts);
+      });
+      return this;
+    },
+    
+    // ============================================
+    // HISTORY API
+    // ============================================
+    
+    /**
+     * Undo the last operation
+     * @returns {boolean} True if a step was undone
+     */
+    undo() {
+      return history.undo();
+    },
+    
+    /**
+     * Redo the last undone operation
+     * @returns {boolean} True if a step was redone
+     */
+    redo() {
+      return history.redo();
+    },
+    
+    /**
+     * @returns {boolean}
+     */
+    canUndo() {
+      return history.canUndo();
+    },
+    
+    /**
+     * @returns {boolean}
+     */
+    canRedo() {
+      return history.canRedo();
+    },
+    
+    /**
+     * Run several operations as a single undo step
+     * @param {Function} fn - Receives the API
+     */
+    batch(fn) {
+      history.group(() => fn(this));
+      return this;
+    },
+    
+    /**
+     * Drop all undo/redo steps
+     */
+    clearHistory() {
+      history.clear();
+      return this;
+    },
+    
+    /**
+     * Stop tracking the graph: remove event listeners, stop the running and
+     * scheduled layouts and turn off auto layout and level of detail.
+     * Collapse state is left as is.
+     */
+    destroy() {
+      releaseListeners(cy);
+      getState(cy).recordHistory = null;
+      cancelScheduledLayout();
+      debouncedLevelOfDetail.cancel();
+      cancelLayout(cy);
+      autoLayout = false;
+      levelOfDetail = false;
     }
   };
 }
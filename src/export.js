@@ -0,0 +1,255 @@
+/**
+ * Graph export
+ * 
+ * Serializes a view of the graph to cytoscape JSON, GraphML or Graphviz DOT.
+ * The view holds plain records, so export needs no renderer:
+ * 
+ *   nodes: [{ id, parent, data, position, classes, collapsed }]
+ *   edges: [{ id, source, target, data, classes, projection }]
+ * 
+ * `data` excludes id/parent/source/target. Compounds are nested: GraphML
+ * nested graphs, DOT `subgraph cluster_<id>` (edges to a compound clipped
+ * at the cluster with lhead/ltail).
+ */
+
+const formats = {
+  json: toJson,
+  graphml: toGraphml,
+  dot: toDot
+};
+
+/**
+ * Serialize a view
+ * @param {Object} view - { nodes, edges }
+ * @param {string} format - 'json', 'graphml' or 'dot'
+ * @returns {Object|string} Cytoscape JSON object, or GraphML / DOT text
+ */
+export function exportView(view, format) {
+  if (!formats[format]) {
+    throw new Error(`Unknown export format "${format}"`);
+  }
+  return formats[format](view);
+}
+
+// ============================================
+// CYTOSCAPE JSON
+// ============================================
+
+function toJson({ nodes, edges }) {
+  return {
+    elements: {
+      nodes: nodes.map(node => ({
+        data: { id: node.id, ...(node.parent ? { parent: node.parent } : {}), ...node.data },
+        position: { ...node.position },
+        classes: node.classes
+      })),
+      edges: edges.map(edge => ({
+        data: { id: edge.id, source: edge.source, target: edge.target, ...edge.data },
+        classes: edge.classes
+      }))
+    }
+  };
+}
+
+// ============================================
+// SHARED
+// ============================================
+
+/**
+ * Attributes written for a record: its data plus the collapsed/projection flags
+ */
+function attributesOf(record) {
+  const attributes = { ...record.data };
+  if (record.collapsed) attributes.collapsed = true;
+  if (record.projection) attributes.projection = true;
+  return attributes;
+}
+
+/**
+ * Group nodes under their parent id ('' for top level)
+ */
+function childrenByParent(nodes) {
+  const children = new Map();
+  nodes.forEach(node => {
+    const key = node.parent || '';
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(node);
+  });
+  return children;
+}
+
+/**
+ * Primitive values stay as they are; arrays and objects become JSON text
+ */
+function flatValue(value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+// ============================================
+// GRAPHML
+// ============================================
+
+const GRAPHML_TYPES = { number: 'double', boolean: 'boolean', string: 'string' };
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Declare one <key> per attribute name, typed when all values agree
+ * @returns {Map} attribute name -> { id, type }
+ */
+function graphmlKeys(records, prefix) {
+  const keys = new Map();
+  records.forEach(record => {
+    Object.entries(attributesOf(record)).forEach(([name, value]) => {
+      if (value === undefined || value === null) return;
+      const type = GRAPHML_TYPES[typeof flatValue(value)] || 'string';
+      const key = keys.get(name);
+      if (!key) {
+        keys.set(name, { id: `${prefix}${keys.size}`, type });
+      } else if (key.type !== type) {
+        key.type = 'string';
+      }
+    });
+  });
+  return keys;
+}
+
+function graphmlData(record, keys, indent) {
+  return Object.entries(attributesOf(record))
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${indent}<data key="${keys.get(name).id}">${escapeXml(flatValue(value))}</data>`);
+}
+
+function toGraphml({ nodes, edges }) {
+  const nodeKeys = graphmlKeys(nodes, 'n');
+  const edgeKeys = graphmlKeys(edges, 'e');
+  const children = childrenByParent(nodes);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">'
+  ];
+  
+  const declare = (keys, target) => keys.forEach(({ id, type }, name) => {
+    lines.push(`  <key id="${id}" for="${target}" attr.name="${escapeXml(name)}" attr.type="${type}"/>`);
+  });
+  declare(nodeKeys, 'node');
+  declare(edgeKeys, 'edge');
+  
+  const writeNodes = (parentId, indent) => {
+    (children.get(parentId) || []).forEach(node => {
+      const data = graphmlData(node, nodeKeys, `${indent}  `);
+      const nested = children.has(node.id);
+      if (data.length === 0 && !nested) {
+        lines.push(`${indent}<node id="${escapeXml(node.id)}"/>`);
+        return;
+      }
+      
+      lines.push(`${indent}<node id="${escapeXml(node.id)}">`, ...data);
+      if (nested) {
+        lines.push(`${indent}  <graph id="${escapeXml(node.id)}:" edgedefault="directed">`);
+        writeNodes(node.id, `${indent}    `);
+        lines.push(`${indent}  </graph>`);
+      }
+      lines.push(`${indent}</node>`);
+    });
+  };
+  
+  lines.push('  <graph id="G" edgedefault="directed">');
+  writeNodes('', '    ');
+  edges.forEach(edge => {
+    const data = graphmlData(edge, edgeKeys, '      ');
+    const tag = `<edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}"`;
+    if (data.length === 0) {
+      lines.push(`    ${tag}/>`);
+    } else {
+      lines.push(`    ${tag}>`, ...data, '    </edge>');
+    }
+  });
+  lines.push('  </graph>', '</graphml>');
+  
+  return lines.join('\n') + '\n';
+}
+
+// ============================================
+// GRAPHVIZ DOT
+// ============================================
+
+function quoteDot(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+function dotAttributes(record, extra = {}) {
+  const pairs = Object.entries({ ...attributesOf(record), ...extra })
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => {
+      const flat = flatValue(value);
+      const text = typeof flat === 'string' ? quoteDot(flat) : String(flat);
+      return `${quoteDot(name)}=${text}`;
+    });
+  return pairs.length ? ` [${pairs.join(', ')}]` : '';
+}
+
+/**
+ * Check if a node is inside a compound, at any depth
+ */
+function isInside(nodesById, id, compoundId) {
+  for (let node = nodesById.get(id); node && node.parent; node = nodesById.get(node.parent)) {
+    if (node.parent === compoundId) return true;
+  }
+  return false;
+}
+
+function toDot({ nodes, edges }) {
+  const children = childrenByParent(nodes);
+  const nodesById = new Map(nodes.map(node => [node.id, node]));
+  const lines = ['digraph G {'];
+  
+  // DOT edges can't end at a cluster: they point at an invisible anchor node
+  // inside it (named after the compound) and are clipped at the cluster border
+  const anchored = new Set(edges.flatMap(edge => [edge.source, edge.target]).filter(id => children.has(id)));
+  if (anchored.size) lines.push('  compound=true;');
+  
+  const writeNodes = (parentId, indent) => {
+    (children.get(parentId) || []).forEach(node => {
+      if (!children.has(node.id)) {
+        lines.push(`${indent}${quoteDot(node.id)}${dotAttributes(node)};`);
+        return;
+      }
+      
+      // Expanded compounds become clusters; their data goes on the cluster
+      lines.push(`${indent}subgraph ${quoteDot(`cluster_${node.id}`)} {`);
+      lines.push(`${indent}  label=${quoteDot(node.data.label !== undefined ? node.data.label : node.id)};`);
+      Object.entries(attributesOf(node)).forEach(([name, value]) => {
+        if (name === 'label' || value === undefined || value === null) return;
+        const flat = flatValue(value);
+        lines.push(`${indent}  ${quoteDot(name)}=${typeof flat === 'string' ? quoteDot(flat) : flat};`);
+      });
+      if (anchored.has(node.id)) {
+        lines.push(`${indent}  ${quoteDot(node.id)} [shape=point, style=invis, label=""];`);
+      }
+      writeNodes(node.id, `${indent}  `);
+      lines.push(`${indent}}`);
+    });
+  };
+  
+  writeNodes('', '  ');
+  edges.forEach(edge => {
+    const clip = {};
+    if (anchored.has(edge.source) && !isInside(nodesById, edge.target, edge.source)) {
+      clip.ltail = `cluster_${edge.source}`;
+    }
+    if (anchored.has(edge.target) && !isInside(nodesById, edge.source, edge.target)) {
+      clip.lhead = `cluster_${edge.target}`;
+    }
+    lines.push(`  ${quoteDot(edge.source)} -> ${quoteDot(edge.target)}${dotAttributes(edge, clip)};`);
+  });
+  lines.push('}');
+  
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,118 @@
+/**
+ * Hierarchy import
+ * 
+ * Builds compound node elements from nested trees (d3-hierarchy style
+ * `{ id, children }`) or from flat records with a `path` like 'org/dept/team',
+ * so `parent` wiring doesn't have to be written by hand.
+ * 
+ * Both return { elements, state }: add the elements, create the manager,
+ * then pass state to api.setState() to apply the initial collapse depth.
+ * Positions given for nodes inside collapsed compounds become their saved
+ * positions, restored on expand.
+ */
+
+import { STATE_VERSION } from './core.js';
+
+/**
+ * Build elements from a nested tree
+ * 
+ * @param {Object|Array<Object>} root - Root node, or several top-level nodes
+ * @param {Object} [options]
+ * @param {Function} [options.id] - (datum) => id (default: datum.id)
+ * @param {Function} [options.children] - (datum) => child data (default: datum.children)
+ * @param {Function} [options.data] - (datum) => node data (default: all fields except id and children)
+ * @param {number} [options.collapseDepth] - Collapse compounds at this depth or deeper (top level = 0)
+ * @param {Object} [options.positions] - Map of node id -> { x, y }
+ * @returns {Object} { elements, state }
+ */
+export function elementsFromTree(root, options = {}) {
+  const idOf = options.id || (datum => datum.id);
+  const childrenOf = options.children || (datum => datum.children);
+  const dataOf = options.data || (({ id, children, ...rest }) => rest);
+  const nodes = new Map();
+  
+  const visit = (datum, parentId, depth) => {
+    const id = idOf(datum);
+    if (id === undefined || id === null) {
+      throw new Error('Tree node without an id');
+    }
+    if (nodes.has(String(id))) {
+      throw new Error(`Duplicate node id "${id}"`);
+    }
+    
+    const children = childrenOf(datum) || [];
+    nodes.set(String(id), { id: String(id), parent: parentId, depth, data: dataOf(datum), compound: children.length > 0 });
+    children.forEach(child => visit(child, String(id), depth + 1));
+  };
+  (Array.isArray(root) ? root : [root]).forEach(datum => visit(datum, undefined, 0));
+  
+  return buildResult(nodes, options);
+}
+
+/**
+ * Build elements from records with a path
+ * 
+ * Each record is the node at the end of its path; missing ancestors are
+ * created. Node ids are the joined path ('org/dept'), labels the last segment.
+ * Records for the same path merge their data.
+ * 
+ * @param {Array<Object>} records
+ * @param {Object} [options]
+ * @param {Function} [options.path] - (record) => path (default: record.path)
+ * @param {string} [options.separator='/']
+ * @param {Function} [options.data] - (record) => node data (default: all fields except path)
+ * @param {number} [options.collapseDepth] - Collapse compounds at this depth or deeper (top level = 0)
+ * @param {Object} [options.positions] - Map of node id -> { x, y }
+ * @returns {Object} { elements, state }
+ */
+export function elementsFromPaths(records, options = {}) {
+  const pathOf = options.path || (record => record.path);
+  const separator = options.separator || '/';
+  const dataOf = options.data || (({ path, ...rest }) => rest);
+  const nodes = new Map();
+  
+  records.forEach(record => {
+    const path = pathOf(record);
+    const segments = (Array.isArray(path) ? path : String(path || '').split(separator)).filter(Boolean);
+    if (segments.length === 0) {
+      throw new Error('Record without a path');
+    }
+    
+    let parentId;
+    segments.forEach((segment, depth) => {
+      const id = segments.slice(0, depth + 1).join(separator);
+      if (!nodes.has(id)) {
+        nodes.set(id, { id, parent: parentId, depth, data: { label: segment }, compound: false });
+      }
+      if (parentId !== undefined) nodes.get(parentId).compound = true;
+      parentId = id;
+    });
+    
+    const node = nodes.get(parentId);
+    node.data = { ...node.data, ...dataOf(record) };
+  });
+  
+  return buildResult(nodes, options);
+}
+
+/**
+ * Turn collected nodes into elements and an initial state
+ */
+function buildResult(nodes, { collapseDepth, positions = {} }) {
+  const elements = [];
+  const collapsedIds = [];
+  
+  nodes.forEach(({ id, parent, depth, data, compound }) => {
+    const element = { group: 'nodes', data: { ...data, id } };
+    if (parent !== undefined) element.data.parent = parent;
+    if (positions[id]) element.position = { ...positions[id] };
+    elements.push(element);
+    
+    if (compound && collapseDepth !== undefined && depth >= collapseDepth) collapsedIds.push(id);
+  });
+  
+  return {
+    elements,
+    state: { version: STATE_VERSION, collapsedIds, savedPositions: {}, projections: [] }
+  };
+}
@@ -0,0 +1,138 @@
+/**
+ * Undo/redo history
+ * 
+ * Memento style: each step stores the snapshot taken before the operation.
+ * Undo stores the current snapshot for redo and applies the stored one,
+ * so steps restore exactly what was captured (visibility, projections, positions).
+ */
+
+/**
+ * Create an undo/redo history
+ * 
+ * @param {Core} cy - Cytoscape instance (receives history events)
+ * @param {Object} options
+ * @param {Function} options.capture - () => snapshot
+ * @param {Function} options.apply - (snapshot) => void
+ * @param {number} options.depth - Maximum number of undo steps (0 disables history)
+ * @returns {Object} History API
+ */
+export function createHistory(cy, { capture, apply, depth }) {
+  const undoStack = [];
+  const redoStack = [];
+  let groupDepth = 0;
+  let groupBefore = null;
+  let applying = false;
+  // Bumped by undo/redo, so async steps started before one are dropped
+  let generation = 0;
+
+  function isRecording() {
+    return depth > 0 && !applying && groupDepth === 0;
+  }
+
+  function emitChange() {
+    cy.emit('compoundmanager.historychange', {
+      canUndo: undoStack.length > 0,
+      canRedo: redoStack.length > 0
+    });
+  }
+
+  /**
+   * Push a step if the graph changed since `before`
+   */
+  function push(before) {
+    if (JSON.stringify(before) === JSON.stringify(capture())) return;
+
+    undoStack.push(before);
+    if (undoStack.length > depth) undoStack.shift();
+    redoStack.length = 0;
+    emitChange();
+  }
+
+  function restore(from, to) {
+    if (from.length === 0) return false;
+
+    const snapshot = from.pop();
+    to.push(capture());
+    generation++;
+    applying = true;
+    try {
+      apply(snapshot);
+    } finally {
+      applying = false;
+    }
+    emitChange();
+    return true;
+  }
+
+  return {
+    /**
+     * Run a synchronous operation as one undo step
+     */
+    record(fn) {
+      if (!isRecording()) return fn();
+
+      const before = capture();
+      const result = fn();
+      push(before);
+      return result;
+    },
+
+    /**
+     * Run a promise-returning operation; the step is pushed once it settles
+     * 
+     * Nothing is pushed when it resolves to false (superseded or failed) or when
+     * undo/redo ran in the meantime: the step would clear the redo stack.
+     */
+    recordAsync(fn) {
+      if (!isRecording()) return fn();
+
+      const before = capture();
+      const started = generation;
+      return fn().then(result => {
+        if (result !== false && generation === started) push(before);
+        return result;
+      });
+    },
+
+    /**
+     * Group all operations run by fn into one undo step
+     */
+    group(fn) {
+      const outermost = isRecording();
+      if (outermost) groupBefore = capture();
+
+      groupDepth++;
+      try {
+        return fn();
+      } finally {
+        groupDepth--;
+        if (outermost) {
+          push(groupBefore);
+          groupBefore = null;
+        }
+      }
+    },
+
+    undo() {
+      return restore(undoStack, redoStack);
+    },
+
+    redo() {
+      return restore(redoStack, undoStack);
+    },
+
+    canUndo() {
+      return undoStack.length > 0;
+    },
+
+    canRedo() {
+      return redoStack.length > 0;
+    },
+
+    clear() {
+      undoStack.length = 0;
+      redoStack.length = 0;
+      emitChange();
+    }
+  };
+}
@@ -8,6 +8,10 @@
 
 import { createCore } from './core.js';
 
+export { defaultStylesheet } from './style.js';
+export { registerLayout } from './layouts.js';
+export { elementsFromTree, elementsFromPaths } from './hierarchy.js';
+
 /**
  * Register the extension with Cytoscape.js
  * 
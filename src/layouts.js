@@ -0,0 +1,190 @@
+/**
+ * Layout strategies
+ * 
+ * The manager asks for a layout with a generic request; a strategy turns it
+ * into one concrete layout. Each strategy maps the request onto its own
+ * options, so settings meant for cola never reach cose or dagre.
+ * 
+ * A strategy is either
+ * - { layout, options(request) }: a cytoscape layout extension by name, with
+ *   its options derived from the request, or
+ * - function(cy, request): custom code positioning request.eles, optionally
+ *   returning a promise that resolves when done.
+ * 
+ * Request fields: eles, local, node (center of a local layout), fixed (nodes
+ * locked in place for an incremental layout), animate, animationDuration, fit,
+ * padding, nodeSpacing, edgeLength, worker (run the layout in a worker).
+ */
+
+import { createWorkerLayout } from './workerLayout.js';
+
+const strategies = new Map();
+
+/**
+ * Register a layout strategy under a name
+ * @param {string} name
+ * @param {Object|Function} strategy
+ */
+export function registerLayout(name, strategy) {
+  if (typeof strategy !== 'function' && !(strategy && strategy.layout)) {
+    throw new Error(`Layout strategy "${name}" must be a function or { layout, options }`);
+  }
+  strategies.set(name, strategy);
+}
+
+/**
+ * Check if a cytoscape layout extension is registered
+ * @param {Core} cy - Cytoscape instance
+ * @param {string} name - Cytoscape layout name
+ * @returns {boolean}
+ */
+export function isLayoutAvailable(cy, name) {
+  try {
+    // Try to create layout options - will throw if not available
+    return cy.layout({ name, eles: cy.collection() }).options !== undefined;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Resolve a strategy from a name or an inline function
+ * 
+ * Unregistered names fall back to the cytoscape layout of that name with
+ * the generic options only (grid, circle, concentric, ...).
+ */
+function resolveLayoutStrategy(strategy) {
+  if (typeof strategy === 'function') return strategy;
+  return strategies.get(strategy) || { layout: strategy, options: () => ({}) };
+}
+
+/**
+ * Create a layout for a request
+ * 
+ * @param {Core} cy - Cytoscape instance
+ * @param {string|Function} strategy - Strategy name or function
+ * @param {Object} request - Generic layout request
+ * @param {Object} [overrides] - Layout options applied last (per strategy, from the user)
+ * @returns {Object} Layout with run(), stop() and one('layoutstop', fn)
+ *   (and on('layoutprogress', fn) for worker layouts)
+ */
+export function createLayout(cy, strategy, request, overrides) {
+  const resolved = resolveLayoutStrategy(strategy);
+  if (typeof resolved === 'function') return functionLayout(cy, resolved, request);
+  
+  const options = {
+    name: resolved.layout,
+    eles: request.eles,
+    animate: request.animate,
+    animationDuration: request.animationDuration,
+    fit: request.fit,
+    padding: request.padding,
+    nodeDimensionsIncludeLabels: true,
+    ...resolved.options(request),
+    ...overrides
+  };
+  
+  // Function strategies always run on the main thread
+  if (request.worker) return createWorkerLayout(cy, options, request.worker);
+  return cy.layout(options);
+}
+
+/**
+ * Wrap a function strategy in the part of the layout interface the manager uses
+ * 
+ * Errors thrown by the strategy end the layout with a layouterror event
+ * ({ error }) instead of layoutstop.
+ */
+function functionLayout(cy, fn, request) {
+  const listeners = { layoutstop: [], layouterror: [] };
+  let stopped = false;
+  
+  return {
+    one(event, listener) {
+      if (event === 'layoutstop') listeners.layoutstop.push(listener);
+      return this;
+    },
+    on(event, listener) {
+      if (event === 'layouterror') listeners.layouterror.push(listener);
+      return this;
+    },
+    run() {
+      Promise.resolve()
+        .then(() => fn(cy, request))
+        .then(
+          () => {
+            if (!stopped) listeners.layoutstop.splice(0).forEach(listener => listener());
+          },
+          error => {
+            if (!stopped) listeners.layouterror.forEach(listener => listener({ error }));
+          }
+        );
+      return this;
+    },
+    stop() {
+      stopped = true;
+      return this;
+    }
+  };
+}
+
+// ============================================
+// BUILT-IN STRATEGIES
+// ============================================
+
+registerLayout('cola', {
+  layout: 'cola',
+  options: request => ({
+    nodeSpacing: request.nodeSpacing,
+    edgeLength: request.edgeLength
+  })
+});
+
+registerLayout('cose', {
+  layout: 'cose',
+  options: request => ({
+    // Stronger repulsion keeps a local layout from collapsing onto the center.
+    // Plain values rather than per-element functions, so worker layouts keep them.
+    nodeRepulsion: request.local ? 4000 : 2048,
+    idealEdgeLength: request.edgeLength,
+    randomize: false
+  })
+});
+
+registerLayout('fcose', {
+  layout: 'fcose',
+  options: request => ({
+    idealEdgeLength: request.edgeLength,
+    nodeSeparation: request.nodeSpacing,
+    // Incremental for local layouts: start from current positions
+    randomize: !request.local,
+    quality: request.local ? 'proof' : 'default'
+  })
+});
+
+registerLayout('dagre', {
+  layout: 'dagre',
+  options: request => ({
+    nodeSep: request.nodeSpacing,
+    rankSep: request.edgeLength
+  })
+});
+
+registerLayout('elk', {
+  layout: 'elk',
+  options: request => ({
+    elk: {
+      algorithm: 'layered',
+      'elk.spacing.nodeNode': request.nodeSpacing,
+      'elk.layered.spacing.nodeNodeBetweenLayers': request.edgeLength
+    }
+  })
+});
+
+registerLayout('breadthfirst', {
+  layout: 'breadthfirst',
+  options: () => ({
+    directed: true,
+    avoidOverlap: true
+  })
+});
@@ -0,0 +1,86 @@
+/**
+ * Spatial index
+ * 
+ * Uniform grid over bounding boxes. Each entry is stored in every cell its
+ * box touches, so a query only looks at entries near the queried box instead
+ * of all of them. Entries are updated one at a time as nodes move, so the
+ * index never needs a full rebuild while overlaps are being resolved.
+ */
+
+/**
+ * Create a grid index
+ * 
+ * @param {number} cellSize - Cell edge length; about twice the typical box size works well
+ * @returns {Object} Index API
+ */
+export function createGridIndex(cellSize) {
+  const size = cellSize > 0 ? cellSize : 1;
+  const cells = new Map();   // cell key -> Set of ids
+  const entries = new Map(); // id -> { box, keys }
+  
+  function keysOf(box) {
+    const keys = [];
+    const x1 = Math.floor(box.x1 / size);
+    const x2 = Math.floor(box.x2 / size);
+    const y1 = Math.floor(box.y1 / size);
+    const y2 = Math.floor(box.y2 / size);
+    for (let x = x1; x <= x2; x++) {
+      for (let y = y1; y <= y2; y++) keys.push(`${x},${y}`);
+    }
+    return keys;
+  }
+  
+  function remove(id) {
+    const entry = entries.get(id);
+    if (!entry) return;
+    entry.keys.forEach(key => {
+      const cell = cells.get(key);
+      cell.delete(id);
+      if (cell.size === 0) cells.delete(key);
+    });
+    entries.delete(id);
+  }
+  
+  function insert(id, box) {
+    remove(id);
+    const keys = keysOf(box);
+    keys.forEach(key => {
+      if (!cells.has(key)) cells.set(key, new Set());
+      cells.get(key).add(id);
+    });
+    entries.set(id, { box, keys });
+  }
+  
+  /**
+   * Ids whose boxes share a cell with the box (candidates, not exact hits)
+   */
+  function query(box) {
+    const found = new Set();
+    keysOf(box).forEach(key => {
+      const cell = cells.get(key);
+      if (cell) cell.forEach(id => found.add(id));
+    });
+    return found;
+  }
+  
+  return {
+    insert,
+    update: insert,
+    remove,
+    query,
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+/**
+ * Cell size for a set of boxes: twice the mean of their larger sides
+ * @param {Array<Object>} boxes
+ * @returns {number}
+ */
+export function gridCellSize(boxes) {
+  if (boxes.length === 0) return 1;
+  const total = boxes.reduce((sum, box) => sum + Math.max(box.x2 - box.x1, box.y2 - box.y1), 0);
+  return Math.max(1, 2 * total / boxes.length);
+}
@@ -0,0 +1,63 @@
+/**
+ * Default stylesheet
+ * 
+ * Opt-in styles for the classes the manager sets. Collapsed nodes take the
+ * size and shape written on collapse (collapsedWidth, collapsedHeight,
+ * collapsedShape); projection width follows the number of edges they represent.
+ */
+
+export const defaultStylesheet = [
+  // Collapsed state (per spec 10.1 - double border)
+  {
+    selector: '.cy-compound-collapsed',
+    style: {
+      'border-width': 4,
+      'border-style': 'double',
+      'border-color': '#e94560'
+    }
+  },
+  {
+    selector: '.cy-compound-collapsed[collapsedWidth][collapsedHeight]',
+    style: {
+      'width': 'data(collapsedWidth)',
+      'height': 'data(collapsedHeight)'
+    }
+  },
+  {
+    selector: '.cy-compound-collapsed[collapsedShape]',
+    style: {
+      'shape': 'data(collapsedShape)'
+    }
+  },
+  {
+    selector: '.cy-compound-loading',
+    style: {
+      'border-style': 'dashed'
+    }
+  },
+  // Projection edges
+  {
+    selector: '.cy-compound-projection',
+    style: {
+      'line-style': 'dashed',
+      'line-color': '#e94560',
+      'target-arrow-color': '#e94560',
+      'target-arrow-shape': 'triangle',
+      'curve-style': 'bezier'
+    }
+  },
+  {
+    selector: '.cy-compound-projection[count]',
+    style: {
+      'width': 'mapData(count, 1, 20, 2, 8)'
+    }
+  },
+  // Focus mode boundary stubs
+  {
+    selector: 'node.cy-compound-stub',
+    style: {
+      'label': 'data(label)',
+      'opacity': 0.6
+    }
+  }
+];
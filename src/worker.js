@@ -0,0 +1,72 @@
+/**
+ * Layout worker
+ * 
+ * Runs one cytoscape layout on a headless copy of the visible subgraph and
+ * posts the resulting positions back. Loaded as a module web worker in the
+ * browser and as a worker_threads worker in Node.
+ * 
+ * In:  { elements, options, extensions, progressSteps }
+ * Out: { type: 'progress', progress }, { type: 'done', positions }, { type: 'error', message }
+ */
+
+import cytoscape from 'cytoscape';
+
+const port = typeof self !== 'undefined' && typeof self.postMessage === 'function'
+  ? {
+    post: message => self.postMessage(message),
+    listen: fn => self.addEventListener('message', evt => fn(evt.data))
+  }
+  : await import('node:worker_threads').then(({ parentPort }) => ({
+    post: message => parentPort.postMessage(message),
+    listen: fn => parentPort.on('message', fn)
+  }));
+
+port.listen(job => {
+  runJob(job).catch(error => port.post({ type: 'error', message: error.message }));
+});
+
+/**
+ * Run a layout job and post progress and the final positions
+ */
+async function runJob({ elements, options, extensions = [], progressSteps = 20 }) {
+  for (const specifier of extensions) {
+    const extension = await import(specifier);
+    cytoscape.use(extension.default || extension);
+  }
+  
+  // Sizes measured on the main thread stand in for the real stylesheet
+  const cy = cytoscape({
+    headless: true,
+    styleEnabled: true,
+    elements,
+    style: [{ selector: 'node', style: { width: 'data(_width)', height: 'data(_height)' } }]
+  });
+  const leaves = cy.nodes().filter(n => !n.isParent());
+  
+  // Iterative layouts (cose) report progress once per frame of `refresh` iterations;
+  // numIter may come from the layout's defaults
+  const layoutOptions = { ...options, eles: cy.elements(), animate: false };
+  const { numIter } = cy.layout({ ...options, eles: cy.collection() }).options;
+  if (typeof numIter === 'number' && leaves.nonempty()) {
+    const refresh = Math.max(1, Math.ceil(numIter / progressSteps));
+    let frames = 0;
+    leaves[0].on('position', () => {
+      frames++;
+      port.post({ type: 'progress', progress: Math.min(1, frames * refresh / numIter) });
+    });
+    Object.assign(layoutOptions, { animate: true, animationThreshold: 0, refresh });
+  }
+  
+  const layout = cy.layout(layoutOptions);
+  const stopped = layout.promiseOn('layoutstop');
+  layout.run();
+  await stopped;
+  
+  const positions = {};
+  leaves.forEach(n => {
+    positions[n.id()] = { ...n.position() };
+  });
+  port.post({ type: 'progress', progress: 1 });
+  port.post({ type: 'done', positions });
+  cy.destroy();
+}
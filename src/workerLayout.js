@@ -0,0 +1,191 @@
+/**
+ * Worker layouts
+ * 
+ * Runs a cytoscape layout off the main thread: the laid out elements are
+ * serialized with their measured sizes, laid out by ./worker.js and the
+ * positions applied back. Each run gets its own worker, so stopping a layout
+ * simply terminates it.
+ */
+
+/**
+ * Create a layout that runs in a worker
+ * 
+ * Same interface the manager uses for cytoscape layouts: run(), stop(),
+ * one('layoutstop', fn), plus on('layoutprogress', fn) with evt.progress in [0, 1].
+ * If the worker fails, the layout runs on the main thread instead; if that
+ * fails too, on('layouterror', fn) listeners get evt.error.
+ * 
+ * @param {Core} cy - Cytoscape instance
+ * @param {Object} options - Cytoscape layout options (with eles)
+ * @param {Object} config - opts.worker: true or { create, extensions, progressSteps }
+ * @returns {Object} Layout
+ */
+export function createWorkerLayout(cy, options, config) {
+  const settings = config === true ? {} : config;
+  const listeners = { layoutstop: [], layoutprogress: [], layouterror: [] };
+  let worker = null;
+  let stopped = false;
+  
+  const emit = (type, evt) => listeners[type].forEach(listener => listener({ type, ...evt }));
+  const finish = () => {
+    if (!stopped) listeners.layoutstop.splice(0).forEach(listener => listener({ type: 'layoutstop' }));
+  };
+  
+  const fallback = (error) => {
+    if (stopped) return;
+    cy.emit('compoundmanager.layoutworkererror', { error });
+    try {
+      cy.layout(options).one('layoutstop', finish).run();
+    } catch (fallbackError) {
+      emit('layouterror', { error: fallbackError });
+    }
+  };
+  
+  const onMessage = (message) => {
+    if (stopped) return;
+    if (message.type === 'progress') {
+      emit('layoutprogress', { progress: message.progress });
+    } else if (message.type === 'done') {
+      terminate();
+      applyPositions(cy, options, message.positions).then(finish);
+    } else if (message.type === 'error') {
+      terminate();
+      fallback(new Error(message.message));
+    }
+  };
+  
+  const terminate = () => {
+    if (worker) worker.terminate();
+    worker = null;
+  };
+  
+  return {
+    one(event, listener) {
+      if (event === 'layoutstop') listeners.layoutstop.push(listener);
+      return this;
+    },
+    on(event, listener) {
+      if (listeners[event] && event !== 'layoutstop') listeners[event].push(listener);
+      return this;
+    },
+    run() {
+      spawnWorker(settings)
+        .then(spawned => {
+          if (stopped) {
+            spawned.terminate();
+            return;
+          }
+          worker = spawned;
+          listenTo(worker, onMessage, error => {
+            terminate();
+            fallback(error);
+          });
+          worker.postMessage({
+            elements: serializeElements(options.eles, options),
+            options: cloneableOptions(options),
+            extensions: settings.extensions || [],
+            progressSteps: settings.progressSteps
+          });
+        })
+        .catch(fallback);
+      return this;
+    },
+    stop() {
+      stopped = true;
+      terminate();
+      options.eles.nodes().stop();
+      return this;
+    }
+  };
+}
+
+/**
+ * Start the layout worker: opts.worker.create, a module web worker or a worker_threads worker
+ */
+async function spawnWorker(settings) {
+  if (typeof settings.create === 'function') return settings.create();
+  
+  const url = new URL('./worker.js', import.meta.url);
+  if (typeof Worker !== 'undefined') return new Worker(url, { type: 'module' });
+  
+  const { Worker: NodeWorker } = await import('node:worker_threads');
+  return new NodeWorker(url);
+}
+
+/**
+ * Subscribe to a browser or worker_threads worker
+ */
+function listenTo(worker, onMessage, onError) {
+  if (typeof worker.on === 'function') {
+    worker.on('message', onMessage);
+    worker.on('error', onError);
+  } else {
+    worker.addEventListener('message', evt => onMessage(evt.data));
+    worker.addEventListener('error', evt => onError(evt.error || new Error(evt.message)));
+  }
+}
+
+/**
+ * Elements as plain JSON, with node sizes as the layout measures them
+ * 
+ * Parents and edge endpoints outside the laid out elements are left out.
+ */
+function serializeElements(eles, options) {
+  const nodes = eles.nodes();
+  
+  const nodeJson = nodes.map(n => {
+    const { w, h } = n.layoutDimensions(options);
+    const parent = n.parent();
+    return {
+      group: 'nodes',
+      data: { id: n.id(), parent: nodes.has(parent) ? parent.id() : undefined, _width: w, _height: h },
+      position: { ...n.position() },
+      locked: n.locked()
+    };
+  });
+  
+  const edgeJson = eles.edges()
+    .filter(e => nodes.has(e.source()) && nodes.has(e.target()))
+    .map(e => ({ group: 'edges', data: { id: e.id(), source: e.source().id(), target: e.target().id() } }));
+  
+  return nodeJson.concat(edgeJson);
+}
+
+/**
+ * Layout options that survive structured cloning
+ * 
+ * Functions (per-element callbacks, ready/stop) can't be sent to a worker and are dropped.
+ */
+function cloneableOptions(options) {
+  const cloneable = {};
+  Object.keys(options).forEach(key => {
+    const value = options[key];
+    if (key === 'eles' || key === 'cy' || typeof value === 'function') return;
+    cloneable[key] = value;
+  });
+  return cloneable;
+}
+
+/**
+ * Move nodes to the computed positions, animated when the layout would animate
+ * 
+ * @returns {Promise} Resolves once the nodes are in place
+ */
+function applyPositions(cy, options, positions) {
+  const nodes = options.eles.nodes().filter(n => positions[n.id()] && !n.locked());
+  const animate = options.animate && cy.styleEnabled();
+  
+  const moves = nodes.map(n => {
+    if (!animate) {
+      n.position(positions[n.id()]);
+      return null;
+    }
+    return n.animation({ position: positions[n.id()] }, { duration: options.animationDuration, queue: false })
+      .play()
+      .promise('completed');
+  });
+  
+  return Promise.all(moves).then(() => {
+    if (options.fit) cy.fit(options.eles, options.padding);
+  });
+}